@@ -2,56 +2,2828 @@
  * Deep Clone Implementation
  *
  * Create a deep copy of any JavaScript value, including nested objects,
- * arrays, and special types like Date, RegExp, Map, and Set.
+ * arrays, and the other types supported by the HTML structured clone
+ * algorithm (Date, RegExp, Map, Set, ArrayBuffer, typed arrays, DataView,
+ * Error and boxed primitives).
+ *
+ * Nesting depth is limited by available memory rather than the call stack.
+ *
+ * Paths are arrays of keys from the root (array indices are numbers).
+ * Patterns are dot-separated, where `*` matches one key and `**` any number
+ * of keys, e.g. `"user.*.password"`.
  *
  * @param {*} value - The value to clone
+ * @param {Object} [options] - Optional configuration
+ * @param {boolean} [options.descriptors=false] - Copy full property descriptors
+ *   of objects and arrays (accessors, non-enumerable and symbol-keyed
+ *   properties) and keep their frozen/sealed/non-extensible state
+ * @param {string|string[]} [options.include] - Only copy values at paths
+ *   matching these patterns (their ancestors are copied as containers)
+ * @param {string|string[]} [options.exclude] - Leave out values at paths
+ *   matching these patterns
+ * @param {number} [options.maxDepth] - Share values nested deeper than this
+ *   by reference instead of copying them (0 makes a shallow copy)
+ * @param {Function} [options.transform] - Called as `transform(value, path)`
+ *   for every value; returns the value to copy in its place, or SKIP to
+ *   leave it out
+ * @param {number} [options.maxNodes] - Most values to copy before giving up
+ * @param {number} [options.maxBytes] - Most memory (estimated) to copy
+ *   before giving up
+ * @param {AbortSignal} [options.signal] - Stops the clone when aborted
  * @param {WeakMap} [visited] - WeakMap to track circular references (used internally)
  * @returns {*} A deep clone of the input value
+ * @throws {DataCloneError} If the value contains something that can't be cloned
+ * @throws {CloneLimitError} If the value is over the maxNodes or maxBytes budget
+ */
+function deepClone(value, options = {}, visited = new WeakMap()) {
+  const context = createContext(options, visited);
+  const copy = cloneChild(value, context, null);
+  runTasks(context, 0);
+  return copy === SKIP ? undefined : copy;
+}
+
+/**
+ * Async Deep Clone Implementation
+ *
+ * Same as deepClone, but gives the event loop a turn after every
+ * `yieldEvery` copied values, so cloning a huge payload doesn't hold up
+ * other work. It pauses between containers, so the elements of a single
+ * array, object, Map or Set are still copied in one go.
+ *
+ * @param {*} value - The value to clone
+ * @param {Object} [options] - The deepClone options, plus:
+ * @param {number} [options.yieldEvery=1000] - Values to copy between pauses
+ * @returns {Promise<*>} A deep clone of the input value
+ */
+async function deepCloneAsync(value, options = {}) {
+  const { yieldEvery = 1000 } = options;
+  const context = createContext(options, new WeakMap());
+  const copy = cloneChild(value, context, null);
+
+  let next = context.nodes + yieldEvery;
+  while (context.tasks.length) {
+    if (context.nodes >= next) {
+      await yieldToEventLoop();
+      if (options.signal) options.signal.throwIfAborted();
+      next = context.nodes + yieldEvery;
+    }
+    const task = context.tasks.pop();
+    task.fill(task.value, task.copy, context, task.location);
+  }
+  return copy === SKIP ? undefined : copy;
+}
+
+/**
+ * Returned by a `transform` callback to leave a value out of the copy.
+ * Skipped array elements are removed, shifting later elements down.
+ */
+const SKIP = Symbol("skip");
+
+/**
+ * Helper: Set up the state shared by one deepClone call
+ *
+ * @param {Object} options - The deepClone options
+ * @param {WeakMap} visited - Originals mapped to their copies
+ * @returns {Object} The context
+ */
+function createContext(options, visited) {
+  if (options.signal) options.signal.throwIfAborted();
+  return {
+    options,
+    visited,
+    tasks: [],
+    include: parsePatterns(options.include),
+    exclude: parsePatterns(options.exclude),
+    nodes: 0,
+    bytes: 0,
+    // Set by deepMerge, which keeps functions and the like by reference
+    shareUncloneable: false,
+  };
+}
+
+/**
+ * Helper: Count a value against the maxNodes and maxBytes budgets, and
+ * stop if the signal was aborted
+ *
+ * @param {*} value - The value about to be copied
+ * @param {Object} context - State shared by one deepClone call
+ * @param {Object} location - Where the value is in the cloned graph
+ * @throws {CloneLimitError} If a budget is used up
+ */
+function charge(value, context, location) {
+  const { maxNodes, maxBytes, signal } = context.options;
+
+  context.nodes++;
+  if (maxNodes !== undefined && context.nodes > maxNodes)
+    throw new CloneLimitError("maxNodes", maxNodes, getPath(location));
+
+  if (maxBytes !== undefined) {
+    context.bytes += estimateSize(value, location.key);
+    if (context.bytes > maxBytes)
+      throw new CloneLimitError("maxBytes", maxBytes, getPath(location));
+  }
+
+  if (signal) signal.throwIfAborted();
+}
+
+/**
+ * Helper: Clone a value found at `key` of the object at `parent`, applying
+ * the include/exclude, transform and maxDepth options
+ *
+ * @param {*} value - The value to clone
+ * @param {Object} context - State shared by one deepClone call
+ * @param {Object|null} parent - Location of the containing object, null for the root
+ * @param {*} [key] - Key of the value in its container
+ * @returns {*} The (possibly still empty) copy, or SKIP
+ */
+function cloneChild(value, context, parent, key) {
+  const { include, exclude } = context;
+  const { maxDepth, transform } = context.options;
+  const location = parent
+    ? { parent, key, depth: parent.depth + 1, included: parent.included }
+    : { parent, key, depth: 0, included: true };
+
+  if (parent && (include || exclude)) {
+    const path = getPath(location);
+    if (exclude && exclude.some((pattern) => matchPath(pattern, path)))
+      return SKIP;
+
+    if (include && !location.included) {
+      // Containers on the way to a match are copied, but not all of their content
+      location.included = include.some((pattern) => matchPath(pattern, path));
+      const leadsToMatch =
+        isObject(value) &&
+        include.some((pattern) => matchPath(pattern, path, true));
+      if (!location.included && !leadsToMatch) return SKIP;
+    }
+  } else if (parent === null && include) {
+    location.included = false;
+  }
+
+  if (transform) {
+    value = transform(value, getPath(location));
+    if (value === SKIP) return SKIP;
+  }
+
+  if (maxDepth !== undefined && location.depth > maxDepth) return value;
+
+  return cloneValue(value, context, location);
+}
+
+/**
+ * Helper: Create the copy of a single value
+ *
+ * Containers (Map, Set, arrays and objects) come back empty, with a task
+ * pushed onto `context.tasks` that fills them in later. Working off an
+ * explicit stack instead of recursing keeps very deep graphs from
+ * overflowing the call stack.
+ *
+ * @param {*} value - The value to clone
+ * @param {Object} context - State shared by one deepClone call
+ * @param {Object} location - Where the value is in the cloned graph
+ * @returns {*} The (possibly still empty) copy
  */
-function deepClone(value, visited = new WeakMap()) {
+function cloneValue(value, context, location) {
+  const { visited } = context;
+
+  if (typeof value === "function") {
+    if (context.shareUncloneable) return value;
+    throw new DataCloneError(value);
+  }
+
   // Primitives
-  if (typeof value !== "object" || value === null) return value;
+  if (typeof value !== "object" || value === null) {
+    charge(value, context, location);
+    return value;
+  }
 
   // Circular references
   if (visited.has(value)) return visited.get(value);
+  charge(value, context, location);
+
+  // Classes that define how they are copied. Their nested values are
+  // copied in full, as the path options can't see inside them.
+  const cloner = findCloner(value);
+  if (cloner) {
+    const clone = (nested) => {
+      const height = context.tasks.length;
+      const copy = cloneValue(nested, context, { ...location, included: true });
+      runTasks(context, height);
+      return copy;
+    };
+    const track = (copy) => remember(value, copy, visited);
+    return remember(value, cloner(value, clone, track), visited);
+  }
 
-  if (value instanceof Date) return new Date(value);
-  if (value instanceof RegExp) return new RegExp(value);
+  if (UNCLONEABLE_TYPES.some((Type) => value instanceof Type)) {
+    if (context.shareUncloneable) return value;
+    throw new DataCloneError(value);
+  }
+
+  if (value instanceof Date) return remember(value, new Date(value), visited);
+  if (value instanceof RegExp)
+    return remember(value, new RegExp(value), visited);
+  if (isBoxedPrimitive(value))
+    return remember(value, Object(unbox(value)), visited);
+
+  // Shared memory is meant to be shared, so it is passed through as-is
+  if (value instanceof SharedArrayBuffer) return value;
+  if (isArrayBuffer(value)) return remember(value, value.slice(0), visited);
+
+  // Views on the same buffer keep sharing one cloned buffer
+  if (ArrayBuffer.isView(value)) {
+    const buffer = cloneValue(value.buffer, context, location);
+    const copy =
+      value instanceof DataView
+        ? new DataView(buffer, value.byteOffset, value.byteLength)
+        : new globalThis[value[Symbol.toStringTag]](
+            buffer,
+            value.byteOffset,
+            value.length,
+          );
+    Object.setPrototypeOf(copy, Object.getPrototypeOf(value));
+    return remember(value, copy, visited);
+  }
 
+  let copy, fill;
   if (value instanceof Map) {
-    const copy = new Map();
-    visited.set(value, copy);
-    for (const [key, elem] of value) {
-      copy.set(deepClone(key, visited), deepClone(elem, visited));
+    copy = new Map();
+    fill = fillMap;
+  } else if (value instanceof Set) {
+    copy = new Set();
+    fill = fillSet;
+  } else if (Array.isArray(value)) {
+    copy = [];
+    fill = fillArray;
+  } else if (value instanceof Error) {
+    copy = createError(Object.getPrototypeOf(value));
+    fill = fillObject;
+  } else {
+    copy = Object.create(Object.getPrototypeOf(value));
+    fill = fillObject;
+  }
+
+  if (
+    context.options.descriptors &&
+    (fill === fillArray || fill === fillObject)
+  )
+    fill = fillDescriptors;
+
+  context.tasks.push({ value, copy, fill, location });
+  return remember(value, copy, visited);
+}
+
+/**
+ * Helper: Fill queued copies until the task stack is back at `height`
+ *
+ * @param {Object} context - State shared by one deepClone call
+ * @param {number} height - Stack height to stop at
+ */
+function runTasks(context, height) {
+  const { tasks } = context;
+  while (tasks.length > height) {
+    const { value, copy, fill, location } = tasks.pop();
+    fill(value, copy, context, location);
+  }
+}
+
+/**
+ * Helper: Fill a Map copy with cloned keys and values
+ *
+ * Keys are not filtered; an entry is left out when its value is skipped.
+ *
+ * @param {*} value - The original
+ * @param {*} copy - The empty clone, already registered in `visited`
+ * @param {Object} context - State shared by one deepClone call
+ * @param {Object} location - Where the original is in the cloned graph
+ */
+function fillMap(value, copy, context, location) {
+  for (const [key, elem] of value) {
+    const elemCopy = cloneChild(elem, context, location, key);
+    if (elemCopy !== SKIP)
+      copy.set(cloneValue(key, context, location), elemCopy);
+  }
+}
+
+/**
+ * Helper: Fill a Set copy with cloned values
+ *
+ * @param {*} value - The original
+ * @param {*} copy - The empty clone, already registered in `visited`
+ * @param {Object} context - State shared by one deepClone call
+ * @param {Object} location - Where the original is in the cloned graph
+ */
+function fillSet(value, copy, context, location) {
+  let index = 0;
+  for (const elem of value) {
+    const elemCopy = cloneChild(elem, context, location, index++);
+    if (elemCopy !== SKIP) copy.add(elemCopy);
+  }
+}
+
+/**
+ * Helper: Fill an array copy with cloned elements
+ *
+ * @param {*} value - The original
+ * @param {*} copy - The empty clone, already registered in `visited`
+ * @param {Object} context - State shared by one deepClone call
+ * @param {Object} location - Where the original is in the cloned graph
+ */
+function fillArray(value, copy, context, location) {
+  for (let i = 0; i < value.length; i++) {
+    const elemCopy = cloneChild(value[i], context, location, i);
+    if (elemCopy !== SKIP) copy.push(elemCopy);
+  }
+}
+
+/**
+ * Helper: Fill an object copy with its cloned own enumerable properties
+ *
+ * @param {*} value - The original
+ * @param {*} copy - The empty clone, already registered in `visited`
+ * @param {Object} context - State shared by one deepClone call
+ * @param {Object} location - Where the original is in the cloned graph
+ */
+function fillObject(value, copy, context, location) {
+  // Error details live in non-enumerable own properties
+  if (value instanceof Error) {
+    for (const key of ERROR_PROPERTIES) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) continue;
+      const elemCopy = cloneChild(value[key], context, location, key);
+      if (elemCopy === SKIP) continue;
+      Object.defineProperty(copy, key, {
+        value: elemCopy,
+        writable: true,
+        enumerable: false,
+        configurable: true,
+      });
+    }
+  }
+
+  // Plain object. Properties are defined, not assigned: assigning an own
+  // "__proto__" key (say, from JSON.parse) would swap the copy's prototype.
+  for (const [key, elem] of Object.entries(value)) {
+    const elemCopy = cloneChild(elem, context, location, key);
+    if (elemCopy === SKIP) continue;
+    Object.defineProperty(copy, key, {
+      value: elemCopy,
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  }
+}
+
+/**
+ * Helper: Copy every own property descriptor, then reapply the integrity
+ * level (frozen, sealed or non-extensible) of the original
+ *
+ * Accessors are copied as-is; only data property values are cloned. As in
+ * fillArray, skipped array elements are removed and later ones shift down.
+ *
+ * @param {Object} value - The original object or array
+ * @param {Object} copy - The empty clone, already registered in `visited`
+ * @param {Object} context - State shared by one deepClone call
+ * @param {Object} location - Where the original is in the cloned graph
+ */
+function fillDescriptors(value, copy, context, location) {
+  const isArray = Array.isArray(value);
+  let skipped = 0;
+  for (const key of Reflect.ownKeys(value)) {
+    const descriptor = Object.getOwnPropertyDescriptor(value, key);
+    const index = isArray && typeof key === "string" ? toIndex(key) : -1;
+    if (isArray && key === "length") {
+      descriptor.value -= skipped;
+    } else if ("value" in descriptor) {
+      const childKey = index === -1 ? key : index;
+      descriptor.value = cloneChild(
+        descriptor.value,
+        context,
+        location,
+        childKey,
+      );
+      if (descriptor.value === SKIP) {
+        if (index !== -1) skipped++;
+        continue;
+      }
     }
-    return copy;
+    Object.defineProperty(
+      copy,
+      index === -1 ? key : index - skipped,
+      descriptor,
+    );
+  }
+
+  if (Object.isFrozen(value)) Object.freeze(copy);
+  else if (Object.isSealed(value)) Object.seal(copy);
+  else if (!Object.isExtensible(value)) Object.preventExtensions(copy);
+}
+
+/**
+ * Well-known method name a class can implement to control its own cloning.
+ * Called as `instance[CLONE](clone, track)`, see registerCloner().
+ */
+const CLONE = Symbol.for("deepClone");
+
+// Prototype -> cloner, filled by registerCloner()
+const cloners = new Map();
+
+/**
+ * Register a custom clone handler for instances of a class
+ *
+ * The handler is called as `cloner(value, clone, track)`:
+ * - `clone(nested)` deep clones a nested value with the same engine, so
+ *   shared and circular references stay intact
+ * - `track(copy)` registers the copy before its children are cloned, which
+ *   is needed when a child can refer back to `value`. It returns `copy`.
+ *
+ * Handlers apply to subclasses too, and take precedence over the built-in
+ * handling of Map, Set, Error, etc.
+ *
+ * @param {Function} Class - The class whose instances the handler clones
+ * @param {Function} cloner - Returns the copy of an instance
+ */
+function registerCloner(Class, cloner) {
+  if (typeof Class !== "function" || typeof Class.prototype !== "object")
+    throw new TypeError("Class must be a constructor.");
+  if (typeof cloner !== "function")
+    throw new TypeError("Cloner must be a function.");
+
+  cloners.set(Class.prototype, cloner);
+}
+
+/**
+ * Remove a handler added with registerCloner()
+ *
+ * @param {Function} Class - The class to unregister
+ * @returns {boolean} Whether a handler was registered
+ */
+function unregisterCloner(Class) {
+  return cloners.delete(Class.prototype);
+}
+
+/**
+ * Deep Equality Implementation
+ *
+ * Structurally compares two values, understanding the same types as
+ * deepClone. Objects must share a prototype to be equal, Map keys and Set
+ * values that are objects are matched by deep equality, and circular
+ * references are handled.
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} Whether the values are deeply equal
+ */
+function deepEqual(a, b) {
+  return equalValues(a, b, new Map());
+}
+
+/**
+ * Diff Implementation
+ *
+ * Lists the changes that turn `a` into `b` as RFC 6902 JSON Patch
+ * operations (`add`, `remove`, `replace`), extended with `mapSet`,
+ * `mapDelete`, `setAdd` and `setDelete` for Map and Set contents. Values in
+ * the operations are deep clones, so the patch doesn't share state with `b`.
+ *
+ * @param {*} a - The original value
+ * @param {*} b - The changed value
+ * @returns {Object[]} Patch operations for applyPatch()
+ * @throws {DataCloneError} If a changed value can't be cloned
+ */
+function diff(a, b) {
+  const ops = [];
+  diffValues(a, b, "", ops, new Map());
+  return ops;
+}
+
+/**
+ * Apply Patch Implementation
+ *
+ * Applies patch operations, as produced by diff(), to `target` in place.
+ * Supports all RFC 6902 operations (`add`, `remove`, `replace`, `move`,
+ * `copy`, `test`) plus the Map and Set operations of diff(). Paths may only
+ * walk through own properties, so a patch can't reach `__proto__` or
+ * `constructor.prototype`.
+ *
+ * @param {*} target - The value to patch
+ * @param {Object[]} ops - Patch operations
+ * @returns {*} The patched value (a new value if the root was replaced)
+ * @throws {PatchError} If an operation can't be applied or a test fails
+ */
+function applyPatch(target, ops) {
+  let document = target;
+  for (const operation of ops) {
+    document = applyOperation(document, operation);
+  }
+  return document;
+}
+
+/**
+ * Serialize Implementation
+ *
+ * Encodes a value as a JSON string that keeps what JSON.stringify loses:
+ * Date, RegExp, Map, Set, binary data, errors, boxed primitives,
+ * `undefined`, NaN/Infinity/-0, BigInt and shared or circular references.
+ *
+ * Every object is stored once in a flat `objects` table and referenced by
+ * index (`{ "$ref": 0 }`), so nesting depth doesn't matter. Instances of
+ * other classes need registerType(), anything else that can't be stored
+ * throws a DataCloneError.
+ *
+ * @param {*} value - The value to serialize
+ * @returns {string} JSON text for deserialize()
+ * @throws {DataCloneError} If the value contains something that can't be stored
+ */
+function serialize(value) {
+  const context = { ids: new Map(), objects: [], tasks: [] };
+  const root = encodeValue(value, context);
+  runTasks(context, 0);
+  return JSON.stringify({
+    $serial: FORMAT_VERSION,
+    root,
+    objects: context.objects,
+  });
+}
+
+/**
+ * Deserialize Implementation
+ *
+ * Rebuilds a value from the output of serialize(). The result deep-equals
+ * what deepClone() returns for the original value.
+ *
+ * @param {string} text - JSON text produced by serialize()
+ * @returns {*} The restored value
+ * @throws {Error} If the text is not a supported serialized value
+ */
+function deserialize(text) {
+  const data = JSON.parse(text);
+  if (
+    !isObject(data) ||
+    typeof data.$serial !== "number" ||
+    !Array.isArray(data.objects)
+  )
+    throw new Error("Not a serialized value");
+  if (data.$serial > FORMAT_VERSION)
+    throw new Error(`Unsupported format version ${data.$serial}`);
+
+  const context = { objects: data.objects, decoded: new Map(), tasks: [] };
+  const value = decodeValue(data.root, context);
+  runTasks(context, 0);
+  return value;
+}
+
+// Version of the serialize() output format
+const FORMAT_VERSION = 1;
+
+// Prototype -> type and tag -> type, filled by registerType()
+const types = new Map();
+const typesByTag = new Map();
+
+/**
+ * Register a class with serialize() and deserialize()
+ *
+ * Instances are stored under `tag` together with `version`, and
+ * `deserialize(data, version)` receives the version they were written
+ * with, so stored data can be migrated when the class changes.
+ * The data returned by `serialize` may contain any serializable value.
+ *
+ * @param {Function} Class - The class to register (exact prototype match)
+ * @param {Object} type - How to store instances
+ * @param {string} type.tag - Stable name for the type in serialized output
+ * @param {number} [type.version=1] - Current version of the stored data
+ * @param {Function} type.serialize - Turns an instance into data
+ * @param {Function} type.deserialize - Turns `(data, version)` into an instance
+ */
+function registerType(Class, type) {
+  if (typeof Class !== "function" || typeof Class.prototype !== "object")
+    throw new TypeError("Class must be a constructor.");
+
+  const { tag, version = 1, serialize, deserialize } = type;
+  if (typeof tag !== "string" || !tag)
+    throw new TypeError("Tag must be a non-empty string.");
+  if (!Number.isInteger(version) || version < 1)
+    throw new TypeError("Version must be a positive integer.");
+  if (typeof serialize !== "function" || typeof deserialize !== "function")
+    throw new TypeError("serialize and deserialize must be functions.");
+  if (BUILTIN_TAGS.includes(tag) || typesByTag.has(tag))
+    throw new Error(`Tag "${tag}" is already in use`);
+
+  unregisterType(Class);
+  const entry = { Class, tag, version, serialize, deserialize };
+  types.set(Class.prototype, entry);
+  typesByTag.set(tag, entry);
+}
+
+/**
+ * Remove a class added with registerType()
+ *
+ * @param {Function} Class - The class to unregister
+ * @returns {boolean} Whether the class was registered
+ */
+function unregisterType(Class) {
+  const type = types.get(Class.prototype);
+  if (!type) return false;
+
+  types.delete(Class.prototype);
+  typesByTag.delete(type.tag);
+  return true;
+}
+
+/**
+ * Produce Implementation
+ *
+ * Copy-on-write update of an immutable state tree. `recipe` receives a
+ * draft of `base` and mutates it like a normal object. Only the objects on
+ * the paths that were changed are copied; everything else in the result
+ * is shared with `base`, so untouched subtrees keep their identity.
+ *
+ * Plain objects, arrays, Maps and Sets are drafted; other values are used
+ * as-is. If the recipe returns something other than `undefined` or the
+ * draft, that value becomes the result instead. Drafts stop working once
+ * produce() returns.
+ *
+ * @param {*} base - The current state, left unchanged
+ * @param {Function} recipe - Called with the draft to mutate
+ * @param {Object} [options] - Optional configuration
+ * @param {boolean} [options.autoFreeze] - Object.freeze the plain objects,
+ *   arrays, Maps and Sets of the result (Map and Set contents and other
+ *   objects stay mutable, see deepFreeze); defaults to true unless NODE_ENV
+ *   is "production"
+ * @returns {*} The next state (`base` itself when nothing changed)
+ */
+function produce(base, recipe, options = {}) {
+  const {
+    autoFreeze = typeof process === "undefined" ||
+      process.env.NODE_ENV !== "production",
+  } = options;
+
+  if (!isDraftable(base)) {
+    const result = recipe(base);
+    return result === undefined ? base : result;
   }
 
-  if (value instanceof Set) {
-    const copy = new Set();
-    visited.set(value, copy);
-    for (const elem of value) {
-      copy.add(deepClone(elem, visited));
+  const scope = { revokes: [] };
+  const draft = createDraft(base, null, scope);
+  try {
+    let result = recipe(draft);
+    if (result === undefined || result === draft) {
+      result = finalize(draft);
+    } else {
+      if (draftStates.get(draft).modified)
+        throw new Error(
+          "A recipe must either modify the draft or return a new value, not both",
+        );
+      result = finalize(result);
     }
-    return copy;
+
+    // Only Object.freeze, and only draftable values: untouched parts of the
+    // result are shared with the base, and class instances or locked
+    // methods in there would stop working for the caller
+    if (autoFreeze)
+      freezeGraph(
+        result,
+        (object) => Object.isFrozen(object) || !isDraftable(object),
+        false,
+      );
+    return result;
+  } finally {
+    scope.revokes.forEach((revoke) => revoke());
   }
+}
+
+/**
+ * Deep Merge Implementation
+ *
+ * Merge the own enumerable properties of each source into `target`, left to
+ * right. Plain objects, arrays, Maps and Sets found at the same place in
+ * both are merged; anything else in a source replaces the target's value
+ * with a deep clone. Functions and values deepClone can't copy (WeakMap,
+ * Promise, ...) are kept by reference, so options objects with callbacks
+ * merge fine. `undefined` source values are ignored.
+ *
+ * `__proto__` and `constructor` keys are skipped, so merging parsed JSON
+ * can't reach Object.prototype. Circular and shared references in the
+ * sources are kept.
+ *
+ * The last argument is read as options when it has only option keys.
+ *
+ * @param {Object} target - The object to merge into (mutated)
+ * @param {...Object} sources - Objects to merge; null and undefined are skipped
+ * @param {Object} [options] - Optional configuration
+ * @param {string} [options.arrays="replace"] - "replace", "concat",
+ *   "mergeByIndex" or "mergeByKey"
+ * @param {string|Function} [options.arrayKey="id"] - Property (or function
+ *   returning the key) that identifies array elements for "mergeByKey"
+ * @param {string} [options.maps="merge"] - "merge" (by key) or "replace"
+ * @param {string} [options.sets="union"] - "union" (skipping deep-equal
+ *   members) or "replace"
+ * @returns {Object} The target
+ * @throws {TypeError} If a source can't be merged into the target
+ */
+function deepMerge(target, ...sources) {
+  const last = sources[sources.length - 1];
+  const options =
+    sources.length > 1 && isMergeOptions(last) ? sources.pop() : {};
+  const {
+    arrays = "replace",
+    arrayKey = "id",
+    maps = "merge",
+    sets = "union",
+  } = options;
+
+  checkStrategy("arrays", arrays, ARRAY_STRATEGIES);
+  checkStrategy("maps", maps, ["merge", "replace"]);
+  checkStrategy("sets", sets, ["union", "replace"]);
+  if (!isObject(target))
+    throw new TypeError(`Can't merge into ${describe(target)}`);
+
+  const context = {
+    options: { arrays, arrayKey, maps, sets },
+    visited: new WeakMap(),
+    tasks: [],
+  };
+  for (const source of sources) {
+    if (source === null || source === undefined) continue;
+    if (!getMerger(target, source))
+      throw new TypeError(
+        `Can't merge ${describe(source)} into ${describe(target)}`,
+      );
 
-  if (Array.isArray(value)) {
-    const copy = [];
-    visited.set(value, copy);
-    for (const elem of value) {
-      copy.push(deepClone(elem, visited));
+    queueMerge(target, source, context);
+    while (context.tasks.length) {
+      const task = context.tasks.pop();
+      task.merge(task.target, task.source, context);
     }
-    return copy;
   }
+  return target;
+}
 
-  // Plain object
-  const copy = Object.create(Object.getPrototypeOf(value));
-  visited.set(value, copy);
-  for (const [key, elem] of Object.entries(value)) {
-    copy[key] = deepClone(elem, visited);
+/**
+ * Deep Freeze Implementation
+ *
+ * Freeze a value and everything reachable from it, in place. Maps, Sets
+ * and Dates are frozen too: their mutator methods are replaced with ones
+ * that throw, as Object.freeze doesn't stop them. Ones that are already
+ * non-extensible can't be changed and keep their methods; freezing again
+ * is harmless.
+ *
+ * Binary data can't be frozen and is left as-is, as are values deepClone
+ * refuses to copy (WeakMap, Promise, ...) and functions.
+ *
+ * @param {*} value - The value to freeze
+ * @returns {*} The same value
+ */
+function deepFreeze(value) {
+  const seen = new WeakSet();
+  freezeGraph(value, (object) => {
+    if (seen.has(object)) return true;
+    seen.add(object);
+    return false;
+  });
+  return value;
+}
+
+/**
+ * Error thrown when a value can't be cloned
+ * @class DataCloneError
+ * @extends Error
+ */
+class DataCloneError extends Error {
+  constructor(value) {
+    super(`${describe(value)} could not be cloned.`);
+    this.name = "DataCloneError";
   }
-  return copy;
 }
 
-module.exports = { deepClone };
+/**
+ * Error thrown when deepClone goes over its maxNodes or maxBytes budget
+ * @class CloneLimitError
+ * @extends Error
+ */
+class CloneLimitError extends Error {
+  constructor(limit, max, path) {
+    const where = path.length
+      ? `at "${path.map(String).join(".")}"`
+      : "at the root";
+    super(`Clone exceeded ${limit} (${max}) ${where}`);
+    this.name = "CloneLimitError";
+    this.limit = limit;
+    this.path = path;
+  }
+}
+
+/**
+ * Error thrown when a patch operation can't be applied
+ * @class PatchError
+ * @extends Error
+ */
+class PatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PatchError";
+  }
+}
+
+// Types the structured clone algorithm refuses to copy
+const UNCLONEABLE_TYPES = [
+  WeakMap,
+  WeakSet,
+  WeakRef,
+  FinalizationRegistry,
+  Promise,
+  Symbol,
+];
+
+const ERROR_PROPERTIES = ["message", "stack", "cause", "errors"];
+
+const getByteLength = Object.getOwnPropertyDescriptor(
+  ArrayBuffer.prototype,
+  "byteLength",
+).get;
+
+const BOXED_TYPES = [Number, String, Boolean, BigInt];
+
+const ERROR_TYPES = [
+  Error,
+  EvalError,
+  RangeError,
+  ReferenceError,
+  SyntaxError,
+  TypeError,
+  URIError,
+  AggregateError,
+];
+
+const VIEW_TYPES = [
+  Int8Array,
+  Uint8Array,
+  Uint8ClampedArray,
+  Int16Array,
+  Uint16Array,
+  Int32Array,
+  Uint32Array,
+  Float32Array,
+  Float64Array,
+  BigInt64Array,
+  BigUint64Array,
+  DataView,
+];
+
+// Type names serialize() uses for built-in objects
+const BUILTIN_TAGS = [
+  "Object",
+  "NullObject",
+  "Array",
+  "Map",
+  "Set",
+  "Date",
+  "RegExp",
+  "ArrayBuffer",
+  "Error",
+  ...BOXED_TYPES.map((Type) => Type.name),
+  ...VIEW_TYPES.map((Type) => Type.name),
+];
+
+// Marks a custom type that is still being decoded
+const PENDING = Symbol("pending");
+
+/**
+ * Helper: Split include/exclude patterns into path segments
+ *
+ * @param {string|string[]} [patterns] - Dot-separated patterns
+ * @returns {string[][]|undefined}
+ */
+function parsePatterns(patterns) {
+  if (patterns === undefined) return undefined;
+  return [].concat(patterns).map((pattern) => pattern.split("."));
+}
+
+/**
+ * Helper: List the keys leading from the root to a location
+ *
+ * @param {Object} location - Location in the cloned graph
+ * @returns {Array} Keys from the root
+ */
+function getPath(location) {
+  const path = [];
+  for (let node = location; node.parent; node = node.parent) {
+    path.push(node.key);
+  }
+  return path.reverse();
+}
+
+/**
+ * Helper: Match a path against a pattern, where `*` matches one key and
+ * `**` any number of keys
+ *
+ * Works like glob matching on characters, backtracking to the last `**`
+ * on a mismatch, so long paths don't need recursion.
+ *
+ * @param {string[]} pattern - Pattern segments
+ * @param {Array} path - Keys from the root
+ * @param {boolean} [partial=false] - Also accept paths that a longer path
+ *   could extend into a match
+ * @returns {boolean}
+ */
+function matchPath(pattern, path, partial = false) {
+  let i = 0;
+  let j = 0;
+  let starAt = -1;
+  let resumeAt = 0;
+
+  while (j < path.length) {
+    if (pattern[i] === "**") {
+      starAt = i++;
+      resumeAt = j;
+    } else if (
+      i < pattern.length &&
+      (pattern[i] === "*" || pattern[i] === String(path[j]))
+    ) {
+      i++;
+      j++;
+    } else if (starAt !== -1) {
+      i = starAt + 1;
+      j = ++resumeAt;
+    } else {
+      return false;
+    }
+  }
+
+  if (partial) return true;
+  while (pattern[i] === "**") i++;
+  return i === pattern.length;
+}
+
+/**
+ * Helper: Rough size of a copied value in bytes, for the maxBytes budget
+ *
+ * @param {*} value - The value being copied
+ * @param {*} key - Its key in the containing object
+ * @returns {number} Estimated bytes
+ */
+function estimateSize(value, key) {
+  let size = typeof key === "string" ? key.length * 2 : 0;
+  if (typeof value === "string") size += 16 + value.length * 2;
+  else if (typeof value === "bigint")
+    size += 16 + value.toString(16).length / 2;
+  else if (isObject(value))
+    size += 16 + (isArrayBuffer(value) ? value.byteLength : 0);
+  else size += 8;
+  return size;
+}
+
+/**
+ * Helper: Let other work run before continuing
+ *
+ * @returns {Promise<void>} Settles on a later turn of the event loop
+ */
+function yieldToEventLoop() {
+  return new Promise((resolve) =>
+    typeof setImmediate === "function"
+      ? setImmediate(resolve)
+      : setTimeout(resolve, 0),
+  );
+}
+
+/**
+ * Helper: Find the clone handler for an object
+ *
+ * Walks up the prototype chain so the most specific handler wins, whether
+ * it comes from registerCloner() or from a `[CLONE]` method.
+ *
+ * @param {Object} value - The object to clone
+ * @returns {Function|undefined} A `(value, clone, track)` handler
+ */
+function findCloner(value) {
+  for (let target = value; target !== null;) {
+    if (target !== value && cloners.has(target)) return cloners.get(target);
+
+    if (Object.prototype.hasOwnProperty.call(target, CLONE)) {
+      const method = target[CLONE];
+      return (original, clone, track) => method.call(original, clone, track);
+    }
+
+    target = Object.getPrototypeOf(target);
+  }
+}
+
+/**
+ * Helper: Record a finished copy so later references reuse it
+ *
+ * @param {*} value - The original object, or its id when deserializing
+ * @param {Object} copy - Its clone
+ * @param {WeakMap|Map} visited - The map of already cloned objects
+ * @returns {Object} The clone
+ */
+function remember(value, copy, visited) {
+  visited.set(value, copy);
+  return copy;
+}
+
+/**
+ * Helper: Check for an ArrayBuffer, including ones from other realms
+ *
+ * Typed arrays can own a buffer from another realm (e.g. under a test
+ * runner's VM context), which `instanceof` doesn't recognize.
+ *
+ * @param {Object} value - The object to check
+ * @returns {boolean}
+ */
+function isArrayBuffer(value) {
+  if (value instanceof ArrayBuffer) return true;
+  if (Object.prototype.toString.call(value) !== "[object ArrayBuffer]")
+    return false;
+
+  try {
+    getByteLength.call(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Helper: Check for Number, String, Boolean and BigInt wrapper objects
+ *
+ * @param {Object} value - The object to check
+ * @returns {boolean}
+ */
+function isBoxedPrimitive(value) {
+  return BOXED_TYPES.some((Type) => value instanceof Type);
+}
+
+/**
+ * Helper: Create an empty, genuine Error object with the given prototype
+ *
+ * Object.create() would give the right prototype but not the internal
+ * Error brand that Object.prototype.toString and util.types.isNativeError
+ * look for. The stack the constructor records is removed, so only the
+ * original's own details get copied in.
+ *
+ * @param {Object} proto - Prototype of the original error
+ * @returns {Error}
+ */
+function createError(proto) {
+  const error = new Error();
+  delete error.stack;
+  return Object.setPrototypeOf(error, proto);
+}
+
+/**
+ * Helper: Read the primitive out of a wrapper object, ignoring any
+ * valueOf() overrides on the instance
+ *
+ * @param {Object} value - A boxed primitive
+ * @returns {*} The wrapped primitive
+ */
+function unbox(value) {
+  if (value instanceof Number) return Number.prototype.valueOf.call(value);
+  if (value instanceof String) return String.prototype.valueOf.call(value);
+  if (value instanceof Boolean) return Boolean.prototype.valueOf.call(value);
+  return BigInt.prototype.valueOf.call(value);
+}
+
+/**
+ * Helper: Short description of a value for error messages
+ *
+ * @param {*} value - The value to describe
+ * @returns {string}
+ */
+function describe(value) {
+  if (typeof value === "function")
+    return `function ${value.name || "(anonymous)"}`;
+  return Object.prototype.toString.call(value);
+}
+
+/**
+ * Helper: Compare two values, tracking the object pairs being compared
+ *
+ * Nested pairs go on an explicit work stack, like deepClone's tasks, so
+ * very deep graphs don't overflow the call stack. Each pair stays marked
+ * in `comparing` until everything under it is compared; a marker task
+ * below its nested pairs on the stack clears it.
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @param {Map} comparing - Objects of `a` -> Set of objects of `b` in progress
+ * @returns {boolean}
+ */
+function equalValues(a, b, comparing) {
+  const stack = [[a, b]];
+  while (stack.length) {
+    const task = stack.pop();
+    if (!Array.isArray(task)) {
+      task.partners.delete(task.b);
+      continue;
+    }
+
+    const [x, y] = task;
+    if (Object.is(x, y)) continue;
+    if (
+      !isObject(x) ||
+      !isObject(y) ||
+      Object.getPrototypeOf(x) !== Object.getPrototypeOf(y)
+    )
+      return releasePairs(stack);
+
+    // A pair already being compared is assumed equal, so cycles terminate
+    let partners = comparing.get(x);
+    if (partners && partners.has(y)) continue;
+    if (!partners) comparing.set(x, (partners = new Set()));
+    partners.add(y);
+    stack.push({ partners, b: y });
+
+    const nested = equalObjects(x, y, comparing);
+    if (!nested) return releasePairs(stack);
+    for (let i = nested.length - 1; i >= 0; i--) stack.push(nested[i]);
+  }
+  return true;
+}
+
+/**
+ * Helper: Unmark the pairs still in progress when a comparison fails
+ *
+ * `comparing` can outlive the comparison (findEqual tries one candidate
+ * after another), so no pair may stay marked as being compared.
+ *
+ * @param {Array} stack - equalValues' remaining work
+ * @returns {boolean} Always false
+ */
+function releasePairs(stack) {
+  for (const task of stack) {
+    if (!Array.isArray(task)) task.partners.delete(task.b);
+  }
+  return false;
+}
+
+/**
+ * Helper: Compare two objects that share a prototype, without descending
+ * into nested values
+ *
+ * @param {Object} a - First object
+ * @param {Object} b - Second object
+ * @param {Map} comparing - Pairs in progress, see equalValues()
+ * @returns {Array[]|null} Pairs of nested values that must also be equal,
+ *   or null if the objects differ
+ */
+function equalObjects(a, b, comparing) {
+  const same = (equal) => (equal ? [] : null);
+  if (a instanceof Date) return same(Object.is(a.getTime(), b.getTime()));
+  if (a instanceof RegExp)
+    return same(a.source === b.source && a.flags === b.flags);
+  if (isBoxedPrimitive(a)) return same(Object.is(unbox(a), unbox(b)));
+  if (isArrayBuffer(a) || a instanceof SharedArrayBuffer)
+    return same(equalBytes(new Uint8Array(a), new Uint8Array(b)));
+  if (ArrayBuffer.isView(a))
+    return same(
+      equalBytes(
+        new Uint8Array(a.buffer, a.byteOffset, a.byteLength),
+        new Uint8Array(b.buffer, b.byteOffset, b.byteLength),
+      ),
+    );
+
+  const nested = [];
+
+  if (a instanceof Map) {
+    if (a.size !== b.size) return null;
+    const matched = new Set();
+    for (const [key, elem] of a) {
+      const match = findEqual(b, key, matched, comparing);
+      if (match === NOT_FOUND) return null;
+      matched.add(match);
+      nested.push([elem, b.get(match)]);
+    }
+    return nested;
+  }
+
+  if (a instanceof Set) {
+    if (a.size !== b.size) return null;
+    const matched = new Set();
+    for (const elem of a) {
+      const match = findEqual(b, elem, matched, comparing);
+      if (match === NOT_FOUND) return null;
+      matched.add(match);
+    }
+    return nested;
+  }
+
+  if (Array.isArray(a) && a.length !== b.length) return null;
+
+  if (a instanceof Error) {
+    for (const key of ERROR_PROPERTIES) {
+      if (key === "stack") continue;
+      const hasKey = Object.prototype.hasOwnProperty.call(a, key);
+      if (hasKey !== Object.prototype.hasOwnProperty.call(b, key)) return null;
+      if (hasKey) nested.push([a[key], b[key]]);
+    }
+  }
+
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return null;
+  for (const key of keys) {
+    if (!Object.prototype.hasOwnProperty.call(b, key)) return null;
+    nested.push([a[key], b[key]]);
+  }
+  return nested;
+}
+
+/**
+ * Helper: Compare two byte sequences
+ *
+ * @param {Uint8Array} a - First bytes
+ * @param {Uint8Array} b - Second bytes
+ * @returns {boolean}
+ */
+function equalBytes(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+// Returned by findEqual() when there is no match, as `undefined` can be one
+const NOT_FOUND = Symbol("notFound");
+
+/**
+ * Helper: Find the element of a collection that equals `item`
+ *
+ * A same-value match is a single lookup; otherwise an object item is
+ * compared by deep equality with the object members only.
+ *
+ * @param {Map|Set} collection - Map (matched by key) or Set to search
+ * @param {*} item - The value to look for
+ * @param {Set} [skip] - Elements already matched to something else
+ * @param {Map} [comparing] - Pairs in progress, see equalValues()
+ * @returns {*} The matching element or NOT_FOUND
+ */
+function findEqual(collection, item, skip = new Set(), comparing = new Map()) {
+  if (collection.has(item) && !skip.has(item)) return item;
+  if (!isObject(item)) return NOT_FOUND;
+
+  for (const elem of collection.keys()) {
+    if (isObject(elem) && !skip.has(elem) && equalValues(item, elem, comparing))
+      return elem;
+  }
+  return NOT_FOUND;
+}
+
+/**
+ * Helper: Append the operations that turn `a` into `b` at `path`
+ *
+ * Arrays and objects are compared entry by entry, Maps and Sets get their
+ * own operations, anything else is replaced as a whole when it differs.
+ *
+ * Runs off an explicit work stack holding three kinds of task: pairs to
+ * diff, operations to append once the pairs before them are done, and
+ * markers that end a pair's time in `comparing`. The operations come out
+ * in the same order a recursive walk would produce them.
+ *
+ * @param {*} a - The original value
+ * @param {*} b - The changed value
+ * @param {string} path - JSON Pointer to the values
+ * @param {Object[]} ops - Operations found so far
+ * @param {Map} comparing - Pairs in progress, see equalValues()
+ */
+function diffValues(a, b, path, ops, comparing) {
+  const stack = [{ a, b, path }];
+  while (stack.length) {
+    const task = stack.pop();
+    if (task.operation) {
+      ops.push(task.operation);
+      continue;
+    }
+    if (task.partners) {
+      task.partners.delete(task.b);
+      continue;
+    }
+
+    const { a: x, b: y, path: at } = task;
+    if (Object.is(x, y)) continue;
+
+    if (
+      !isObject(x) ||
+      !isObject(y) ||
+      Object.getPrototypeOf(x) !== Object.getPrototypeOf(y) ||
+      isAtomic(x)
+    ) {
+      if (!equalValues(x, y, comparing))
+        ops.push({ op: "replace", path: at, value: deepClone(y) });
+      continue;
+    }
+
+    // Stop at pairs that are already being diffed further up
+    let partners = comparing.get(x);
+    if (partners && partners.has(y)) continue;
+    if (!partners) comparing.set(x, (partners = new Set()));
+    partners.add(y);
+    stack.push({ partners, b: y });
+
+    if (x instanceof Map) diffMaps(x, y, at, ops, comparing);
+    else if (x instanceof Set) diffSets(x, y, at, ops, comparing);
+    else {
+      const nested = Array.isArray(x)
+        ? diffArrays(x, y, at)
+        : diffObjects(x, y, at);
+      for (let i = nested.length - 1; i >= 0; i--) stack.push(nested[i]);
+    }
+  }
+}
+
+/**
+ * Helper: Append mapDelete/mapSet operations for two Maps
+ *
+ * @param {*} a - The original value
+ * @param {*} b - The changed value
+ * @param {string} path - JSON Pointer to the values
+ * @param {Object[]} ops - Operations found so far
+ * @param {Map} comparing - Pairs in progress, see equalValues()
+ */
+function diffMaps(a, b, path, ops, comparing) {
+  const matched = new Set();
+  for (const [key, elem] of a) {
+    const match = findEqual(b, key, matched, comparing);
+    if (match === NOT_FOUND) {
+      ops.push({ op: "mapDelete", path, key: deepClone(key) });
+      continue;
+    }
+    matched.add(match);
+    if (!equalValues(elem, b.get(match), comparing))
+      ops.push({
+        op: "mapSet",
+        path,
+        key: deepClone(key),
+        value: deepClone(b.get(match)),
+      });
+  }
+
+  for (const [key, elem] of b) {
+    if (!matched.has(key))
+      ops.push({
+        op: "mapSet",
+        path,
+        key: deepClone(key),
+        value: deepClone(elem),
+      });
+  }
+}
+
+/**
+ * Helper: Append setDelete/setAdd operations for two Sets
+ *
+ * @param {*} a - The original value
+ * @param {*} b - The changed value
+ * @param {string} path - JSON Pointer to the values
+ * @param {Object[]} ops - Operations found so far
+ * @param {Map} comparing - Pairs in progress, see equalValues()
+ */
+function diffSets(a, b, path, ops, comparing) {
+  const matched = new Set();
+  for (const elem of a) {
+    const match = findEqual(b, elem, matched, comparing);
+    if (match === NOT_FOUND)
+      ops.push({ op: "setDelete", path, value: deepClone(elem) });
+    else matched.add(match);
+  }
+
+  for (const elem of b) {
+    if (!matched.has(elem))
+      ops.push({ op: "setAdd", path, value: deepClone(elem) });
+  }
+}
+
+/**
+ * Helper: Diff arrays index by index, then add or remove the tail
+ *
+ * @param {*} a - The original value
+ * @param {*} b - The changed value
+ * @param {string} path - JSON Pointer to the values
+ * @returns {Object[]} diffValues tasks, in order
+ */
+function diffArrays(a, b, path) {
+  const tasks = [];
+  const common = Math.min(a.length, b.length);
+  for (let i = 0; i < common; i++) {
+    tasks.push({ a: a[i], b: b[i], path: `${path}/${i}` });
+  }
+  for (let i = common; i < b.length; i++) {
+    tasks.push({
+      operation: { op: "add", path: `${path}/${i}`, value: deepClone(b[i]) },
+    });
+  }
+  // Remove from the end so earlier indices stay valid
+  for (let i = a.length - 1; i >= common; i--) {
+    tasks.push({ operation: { op: "remove", path: `${path}/${i}` } });
+  }
+  return tasks;
+}
+
+/**
+ * Helper: Diff the own enumerable properties of two objects
+ *
+ * @param {*} a - The original value
+ * @param {*} b - The changed value
+ * @param {string} path - JSON Pointer to the values
+ * @returns {Object[]} diffValues tasks, in order
+ */
+function diffObjects(a, b, path) {
+  const tasks = [];
+  for (const key of Object.keys(a)) {
+    const childPath = `${path}/${escapePointer(key)}`;
+    if (Object.prototype.hasOwnProperty.call(b, key))
+      tasks.push({ a: a[key], b: b[key], path: childPath });
+    else tasks.push({ operation: { op: "remove", path: childPath } });
+  }
+
+  for (const key of Object.keys(b)) {
+    if (!Object.prototype.hasOwnProperty.call(a, key))
+      tasks.push({
+        operation: {
+          op: "add",
+          path: `${path}/${escapePointer(key)}`,
+          value: deepClone(b[key]),
+        },
+      });
+  }
+  return tasks;
+}
+
+/**
+ * Helper: Apply a single patch operation
+ *
+ * @param {*} document - The value being patched
+ * @param {Object} operation - The operation to apply
+ * @returns {*} The patched document
+ */
+function applyOperation(document, operation) {
+  const { op, path, from, key, value } = operation;
+
+  switch (op) {
+    case "add":
+      return addValue(document, path, deepClone(value));
+    case "remove":
+      removeValue(document, path);
+      return document;
+    case "replace":
+      return replaceValue(document, path, deepClone(value));
+    case "move": {
+      const moved = getValue(document, from);
+      removeValue(document, from);
+      return addValue(document, path, moved);
+    }
+    case "copy":
+      return addValue(document, path, deepClone(getValue(document, from)));
+    case "test":
+      if (!deepEqual(getValue(document, path), value))
+        throw new PatchError(`Test failed at "${path}"`);
+      return document;
+    case "mapSet": {
+      const map = getCollection(document, path, Map);
+      const match = findEqual(map, key);
+      map.set(match === NOT_FOUND ? deepClone(key) : match, deepClone(value));
+      return document;
+    }
+    case "mapDelete": {
+      const map = getCollection(document, path, Map);
+      map.delete(findEqual(map, key));
+      return document;
+    }
+    case "setAdd": {
+      const set = getCollection(document, path, Set);
+      if (findEqual(set, value) === NOT_FOUND) set.add(deepClone(value));
+      return document;
+    }
+    case "setDelete": {
+      const set = getCollection(document, path, Set);
+      set.delete(findEqual(set, value));
+      return document;
+    }
+    default:
+      throw new PatchError(`Unknown operation "${op}"`);
+  }
+}
+
+/**
+ * Helper: Split a JSON Pointer into its parent container and last token
+ *
+ * @param {*} document - The value being patched
+ * @param {string} path - JSON Pointer, "" for the document itself
+ * @returns {{ parent: Object, token: string }|null} null for the root
+ */
+function resolvePointer(document, path) {
+  if (path === "") return null;
+  if (typeof path !== "string" || path[0] !== "/")
+    throw new PatchError(`Invalid path "${path}"`);
+
+  const tokens = path.slice(1).split("/").map(unescapePointer);
+  const token = tokens.pop();
+  let parent = document;
+  for (const step of tokens) {
+    if (!isObject(parent) || !hasChild(parent, step))
+      throw new PatchError(`Path "${path}" does not exist`);
+    parent = parent[step];
+  }
+  if (!isObject(parent)) throw new PatchError(`Path "${path}" does not exist`);
+
+  return { parent, token };
+}
+
+/**
+ * Helper: Read the value at a JSON Pointer
+ *
+ * @param {*} document - The value being patched
+ * @param {string} path - JSON Pointer
+ * @returns {*} The value
+ */
+function getValue(document, path) {
+  const location = resolvePointer(document, path);
+  if (!location) return document;
+
+  const { parent, token } = location;
+  if (!hasChild(parent, token))
+    throw new PatchError(`Path "${path}" does not exist`);
+  return parent[token];
+}
+
+/**
+ * Helper: Insert a value at a JSON Pointer, shifting array elements
+ *
+ * @param {*} document - The value being patched
+ * @param {string} path - JSON Pointer
+ * @param {*} value - The new value
+ * @returns {*} The patched document
+ */
+function addValue(document, path, value) {
+  const location = resolvePointer(document, path);
+  if (!location) return value;
+
+  const { parent, token } = location;
+  if (Array.isArray(parent)) {
+    const index = token === "-" ? parent.length : toIndex(token);
+    if (index === -1 || index > parent.length)
+      throw new PatchError(`Invalid array index at "${path}"`);
+    parent.splice(index, 0, value);
+  } else {
+    // Define rather than assign, so a "__proto__" key stays a plain property
+    Object.defineProperty(parent, token, {
+      value,
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  }
+  return document;
+}
+
+/**
+ * Helper: Overwrite the existing value at a JSON Pointer
+ *
+ * @param {*} document - The value being patched
+ * @param {string} path - JSON Pointer
+ * @param {*} value - The new value
+ * @returns {*} The patched document
+ */
+function replaceValue(document, path, value) {
+  const location = resolvePointer(document, path);
+  if (!location) return value;
+
+  const { parent, token } = location;
+  if (!hasChild(parent, token))
+    throw new PatchError(`Path "${path}" does not exist`);
+  if (Array.isArray(parent)) parent[toIndex(token)] = value;
+  else Object.defineProperty(parent, token, { value });
+  return document;
+}
+
+/**
+ * Helper: Delete the value at a JSON Pointer, shifting array elements
+ *
+ * @param {*} document - The value being patched
+ * @param {string} path - JSON Pointer
+ */
+function removeValue(document, path) {
+  const location = resolvePointer(document, path);
+  if (!location) throw new PatchError("Can't remove the document root");
+
+  const { parent, token } = location;
+  if (!hasChild(parent, token))
+    throw new PatchError(`Path "${path}" does not exist`);
+  if (Array.isArray(parent)) parent.splice(toIndex(token), 1);
+  else delete parent[token];
+}
+
+/**
+ * Helper: Read the Map or Set targeted by a collection operation
+ *
+ * @param {*} document - The value being patched
+ * @param {string} path - JSON Pointer
+ * @param {Function} Type - Map or Set
+ * @returns {Map|Set}
+ */
+function getCollection(document, path, Type) {
+  const collection = getValue(document, path);
+  if (!(collection instanceof Type))
+    throw new PatchError(`Path "${path}" is not a ${Type.name}`);
+  return collection;
+}
+
+/**
+ * Helper: Check that a pointer token names an existing own entry
+ *
+ * @param {Object} parent - Array or object
+ * @param {string} token - Pointer token
+ * @returns {boolean}
+ */
+function hasChild(parent, token) {
+  if (Array.isArray(parent)) {
+    const index = toIndex(token);
+    return index !== -1 && index < parent.length;
+  }
+  return Object.prototype.hasOwnProperty.call(parent, token);
+}
+
+/**
+ * Helper: Parse an array index token
+ *
+ * @param {string} token - Pointer token
+ * @returns {number} The index, or -1 if the token isn't one
+ */
+function toIndex(token) {
+  return /^(0|[1-9]\d*)$/.test(token) ? Number(token) : -1;
+}
+
+/**
+ * Helper: Encode a property name as a JSON Pointer token (RFC 6901)
+ *
+ * @param {string} key - Property name
+ * @returns {string}
+ */
+function escapePointer(key) {
+  return key.replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+/**
+ * Helper: Decode a JSON Pointer token (RFC 6901)
+ *
+ * @param {string} token - Pointer token
+ * @returns {string}
+ */
+function unescapePointer(token) {
+  return token.replace(/~1/g, "/").replace(/~0/g, "~");
+}
+
+/**
+ * Helper: Encode a value for the serialized output
+ *
+ * JSON primitives are kept as-is, other primitives become `{ "$t": ... }`
+ * and objects become `{ "$ref": id }` pointing into `context.objects`.
+ *
+ * @param {*} value - The value to encode
+ * @param {Object} context - State shared by one serialize call
+ * @returns {*} JSON-compatible encoding
+ */
+function encodeValue(value, context) {
+  switch (typeof value) {
+    case "string":
+    case "boolean":
+      return value;
+    case "number":
+      if (Number.isFinite(value) && !Object.is(value, -0)) return value;
+      return { $t: "number", v: Object.is(value, -0) ? "-0" : String(value) };
+    case "undefined":
+      return { $t: "undefined" };
+    case "bigint":
+      return { $t: "bigint", v: value.toString() };
+    case "object":
+      if (value === null) return null;
+      break;
+    default:
+      throw new DataCloneError(value);
+  }
+
+  let id = context.ids.get(value);
+  if (id === undefined) {
+    // Reserve the slot first, so nested references can point back to it
+    id = context.objects.push(null) - 1;
+    context.ids.set(value, id);
+    context.objects[id] = createEntry(value, context);
+  }
+  return { $ref: id };
+}
+
+/**
+ * Helper: Describe an object for the `objects` table
+ *
+ * Containers come back with empty contents and a task to fill them, like
+ * the copies made by cloneValue().
+ *
+ * @param {Object} value - The object to encode
+ * @param {Object} context - State shared by one serialize call
+ * @returns {Object} The table entry
+ */
+function createEntry(value, context) {
+  const proto = Object.getPrototypeOf(value);
+
+  const type = types.get(proto);
+  if (type)
+    return {
+      t: type.tag,
+      version: type.version,
+      v: encodeValue(type.serialize(value), context),
+    };
+
+  if (proto === Date.prototype)
+    return { t: "Date", v: encodeValue(value.getTime(), context) };
+  if (proto === RegExp.prototype)
+    return { t: "RegExp", v: [value.source, value.flags] };
+  if (isArrayBuffer(value))
+    return { t: "ArrayBuffer", v: toBase64(new Uint8Array(value)) };
+
+  const boxed = BOXED_TYPES.find((Type) => proto === Type.prototype);
+  if (boxed) return { t: boxed.name, v: encodeValue(unbox(value), context) };
+
+  const view = VIEW_TYPES.find((Type) => proto === Type.prototype);
+  if (view) {
+    const size = view === DataView ? value.byteLength : value.length;
+    const buffer = encodeValue(value.buffer, context);
+    return { t: view.name, v: [buffer, value.byteOffset, size] };
+  }
+
+  let entry, fill;
+  if (proto === Map.prototype) {
+    entry = { t: "Map", v: [] };
+    fill = encodeMap;
+  } else if (proto === Set.prototype) {
+    entry = { t: "Set", v: [] };
+    fill = encodeSet;
+  } else if (proto === Array.prototype) {
+    entry = { t: "Array", v: [] };
+    fill = encodeArray;
+  } else if (proto === Object.prototype || proto === null) {
+    entry = { t: proto ? "Object" : "NullObject", v: [] };
+    fill = encodeObject;
+  } else if (ERROR_TYPES.some((Type) => proto === Type.prototype)) {
+    entry = { t: "Error", v: [proto.constructor.name, [], []] };
+    fill = encodeError;
+  } else {
+    throw new DataCloneError(value);
+  }
+
+  context.tasks.push({ value, copy: entry, fill });
+  return entry;
+}
+
+/**
+ * Helper: Fill the entry of a Map with encoded keys and values
+ *
+ * @param {Object} value - The original
+ * @param {Object} entry - Its table entry
+ * @param {Object} context - State shared by one serialize call
+ */
+function encodeMap(value, entry, context) {
+  for (const [key, elem] of value) {
+    entry.v.push([encodeValue(key, context), encodeValue(elem, context)]);
+  }
+}
+
+/**
+ * Helper: Fill the entry of a Set with encoded values
+ *
+ * @param {Object} value - The original
+ * @param {Object} entry - Its table entry
+ * @param {Object} context - State shared by one serialize call
+ */
+function encodeSet(value, entry, context) {
+  for (const elem of value) {
+    entry.v.push(encodeValue(elem, context));
+  }
+}
+
+/**
+ * Helper: Fill the entry of an array with encoded elements
+ *
+ * @param {Object} value - The original
+ * @param {Object} entry - Its table entry
+ * @param {Object} context - State shared by one serialize call
+ */
+function encodeArray(value, entry, context) {
+  for (const elem of value) {
+    entry.v.push(encodeValue(elem, context));
+  }
+}
+
+/**
+ * Helper: Fill the entry of an object with its encoded own enumerable properties
+ *
+ * @param {Object} value - The original
+ * @param {Object} entry - Its table entry
+ * @param {Object} context - State shared by one serialize call
+ */
+function encodeObject(value, entry, context) {
+  for (const [key, elem] of Object.entries(value)) {
+    entry.v.push([key, encodeValue(elem, context)]);
+  }
+}
+
+/**
+ * Helper: Fill the entry of an error with its details and own enumerable properties
+ *
+ * @param {Object} value - The original
+ * @param {Object} entry - Its table entry
+ * @param {Object} context - State shared by one serialize call
+ */
+function encodeError(value, entry, context) {
+  const [, details, entries] = entry.v;
+  for (const key of ERROR_PROPERTIES) {
+    if (Object.prototype.hasOwnProperty.call(value, key))
+      details.push([key, encodeValue(value[key], context)]);
+  }
+  for (const [key, elem] of Object.entries(value)) {
+    entries.push([key, encodeValue(elem, context)]);
+  }
+}
+
+/**
+ * Helper: Decode a value written by encodeValue()
+ *
+ * @param {*} encoded - JSON-compatible encoding
+ * @param {Object} context - State shared by one deserialize call
+ * @returns {*} The (possibly still empty) value
+ */
+function decodeValue(encoded, context) {
+  if (!isObject(encoded)) return encoded;
+  if ("$ref" in encoded) return decodeEntry(encoded.$ref, context);
+
+  switch (encoded.$t) {
+    case "undefined":
+      return undefined;
+    case "number":
+      return Number(encoded.v);
+    case "bigint":
+      return BigInt(encoded.v);
+    default:
+      throw new Error(`Invalid value ${JSON.stringify(encoded)}`);
+  }
+}
+
+/**
+ * Helper: Create the object for an entry of the `objects` table
+ *
+ * Containers come back empty with a task to fill them. Custom types are
+ * decoded right away, as their deserialize() needs complete data.
+ *
+ * @param {number} id - Index into the `objects` table
+ * @param {Object} context - State shared by one deserialize call
+ * @returns {Object} The (possibly still empty) object
+ */
+function decodeEntry(id, context) {
+  if (context.decoded.has(id)) {
+    const value = context.decoded.get(id);
+    if (value === PENDING)
+      throw new Error(`Object ${id} refers to itself through a custom type`);
+    return value;
+  }
+
+  const entry = context.objects[id];
+  if (!isObject(entry)) throw new Error(`Missing object ${id}`);
+  const { t: tag, v: data } = entry;
+
+  const type = typesByTag.get(tag);
+  if (type) {
+    if (entry.version > type.version)
+      throw new Error(
+        `"${tag}" version ${entry.version} is newer than version ${type.version}`,
+      );
+
+    context.decoded.set(id, PENDING);
+    const height = context.tasks.length;
+    const decodedData = decodeValue(data, context);
+    runTasks(context, height);
+    return remember(
+      id,
+      type.deserialize(decodedData, entry.version),
+      context.decoded,
+    );
+  }
+
+  if (tag === "Date")
+    return remember(id, new Date(decodeValue(data, context)), context.decoded);
+  if (tag === "RegExp")
+    return remember(id, new RegExp(...data), context.decoded);
+  if (tag === "ArrayBuffer")
+    return remember(id, fromBase64(data).buffer, context.decoded);
+
+  const boxed = BOXED_TYPES.find((Type) => tag === Type.name);
+  if (boxed)
+    return remember(id, Object(decodeValue(data, context)), context.decoded);
+
+  const View = VIEW_TYPES.find((Type) => tag === Type.name);
+  if (View) {
+    const [buffer, byteOffset, size] = data;
+    // Views must point at a stored buffer, or `size` would allocate a new one
+    const decodedBuffer = decodeValue(buffer, context);
+    if (!isArrayBuffer(decodedBuffer))
+      throw new Error(`Invalid value ${JSON.stringify(buffer)}`);
+    return remember(
+      id,
+      new View(decodedBuffer, byteOffset, size),
+      context.decoded,
+    );
+  }
+
+  let copy, fill;
+  if (tag === "Map") {
+    copy = new Map();
+    fill = decodeMap;
+  } else if (tag === "Set") {
+    copy = new Set();
+    fill = decodeSet;
+  } else if (tag === "Array") {
+    copy = [];
+    fill = decodeArray;
+  } else if (tag === "Object" || tag === "NullObject") {
+    copy = tag === "Object" ? {} : Object.create(null);
+    fill = decodeObject;
+  } else if (tag === "Error") {
+    const Type = ERROR_TYPES.find((Type) => data[0] === Type.name);
+    if (!Type) throw new Error(`Unknown error type "${data[0]}"`);
+    copy = createError(Type.prototype);
+    fill = decodeError;
+  } else {
+    throw new Error(`Unknown type "${tag}"`);
+  }
+
+  context.tasks.push({ value: data, copy, fill });
+  return remember(id, copy, context.decoded);
+}
+
+/**
+ * Helper: Fill a Map with decoded keys and values
+ *
+ * @param {Array} data - The `v` field of the table entry
+ * @param {Object} copy - The empty object to fill
+ * @param {Object} context - State shared by one deserialize call
+ */
+function decodeMap(data, copy, context) {
+  for (const [key, elem] of data) {
+    copy.set(decodeValue(key, context), decodeValue(elem, context));
+  }
+}
+
+/**
+ * Helper: Fill a Set with decoded values
+ *
+ * @param {Array} data - The `v` field of the table entry
+ * @param {Object} copy - The empty object to fill
+ * @param {Object} context - State shared by one deserialize call
+ */
+function decodeSet(data, copy, context) {
+  for (const elem of data) {
+    copy.add(decodeValue(elem, context));
+  }
+}
+
+/**
+ * Helper: Fill an array with decoded elements
+ *
+ * @param {Array} data - The `v` field of the table entry
+ * @param {Object} copy - The empty object to fill
+ * @param {Object} context - State shared by one deserialize call
+ */
+function decodeArray(data, copy, context) {
+  for (const elem of data) {
+    copy.push(decodeValue(elem, context));
+  }
+}
+
+/**
+ * Helper: Fill an object with decoded properties
+ *
+ * @param {Array} data - The `v` field of the table entry
+ * @param {Object} copy - The empty object to fill
+ * @param {Object} context - State shared by one deserialize call
+ */
+function decodeObject(data, copy, context) {
+  // Defined rather than assigned, so a "__proto__" key stays a plain property
+  for (const [key, elem] of data) {
+    Object.defineProperty(copy, key, {
+      value: decodeValue(elem, context),
+      writable: true,
+      enumerable: true,
+      configurable: true,
+    });
+  }
+}
+
+/**
+ * Helper: Fill an error with its decoded details and properties
+ *
+ * @param {Array} data - The `v` field of the table entry
+ * @param {Object} copy - The empty object to fill
+ * @param {Object} context - State shared by one deserialize call
+ */
+function decodeError([, details, entries], copy, context) {
+  for (const [key, elem] of details) {
+    Object.defineProperty(copy, key, {
+      value: decodeValue(elem, context),
+      writable: true,
+      enumerable: false,
+      configurable: true,
+    });
+  }
+  decodeObject(entries, copy, context);
+}
+
+/**
+ * Helper: Encode bytes as base64
+ *
+ * @param {Uint8Array} bytes - The bytes to encode
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Helper: Decode base64 into bytes
+ *
+ * @param {string} text - base64 text
+ * @returns {Uint8Array}
+ */
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// Draft proxy -> draft state, and proxy target -> draft state
+const draftStates = new WeakMap();
+const targetStates = new WeakMap();
+
+/**
+ * Helper: Check for values produce() creates drafts for
+ *
+ * @param {*} value - The value to check
+ * @returns {boolean}
+ */
+function isDraftable(value) {
+  if (!isObject(value) || draftStates.has(value)) return false;
+  if (Array.isArray(value) || value instanceof Map || value instanceof Set)
+    return true;
+
+  return isPlainObject(value);
+}
+
+/**
+ * Helper: Create a draft proxy for `base`
+ *
+ * The proxy reads from `base` until the first write, which makes a shallow
+ * copy and marks the draft and its ancestors as modified. Nested draftable
+ * values get their own draft when they are first read.
+ *
+ * @param {Object} base - Object, array, Map or Set to draft
+ * @param {Object|null} parent - State of the containing draft
+ * @param {Object} scope - Shared by all drafts of one produce() call
+ * @returns {Proxy} The draft
+ */
+function createDraft(base, parent, scope) {
+  let target, traps;
+  if (base instanceof Map) {
+    target = new Map();
+    traps = collectionTraps(mapMethods);
+  } else if (base instanceof Set) {
+    target = new Set();
+    traps = collectionTraps(setMethods);
+  } else {
+    target = Array.isArray(base) ? [] : {};
+    traps = objectTraps;
+  }
+
+  const state = {
+    base,
+    copy: null,
+    parent,
+    scope,
+    modified: false,
+    finalized: false,
+    drafts: new Map(), // Set members -> their drafts
+  };
+  const { proxy, revoke } = Proxy.revocable(target, traps);
+  state.proxy = proxy;
+  draftStates.set(proxy, state);
+  targetStates.set(target, state);
+  scope.revokes.push(revoke);
+  return proxy;
+}
+
+/**
+ * Helper: The current contents of a draft
+ *
+ * @param {Object} state - Draft state
+ * @returns {Object} The copy once written to, the base before that
+ */
+function latest(state) {
+  return state.copy || state.base;
+}
+
+/**
+ * Helper: Give a draft its own shallow copy of the base
+ *
+ * Set copies hold drafts of their draftable members, so those can be
+ * changed while iterating.
+ *
+ * @param {Object} state - Draft state
+ */
+function prepareCopy(state) {
+  if (state.copy) return;
+  const { base } = state;
+
+  if (base instanceof Map) {
+    state.copy = new Map(base);
+  } else if (base instanceof Set) {
+    state.copy = new Set();
+    for (const elem of base) {
+      if (!isDraftable(elem)) {
+        state.copy.add(elem);
+        continue;
+      }
+      const draft = createDraft(elem, state, state.scope);
+      state.drafts.set(elem, draft);
+      state.copy.add(draft);
+    }
+  } else if (Array.isArray(base)) {
+    state.copy = Array.prototype.slice.call(base);
+  } else {
+    state.copy = Object.create(Object.getPrototypeOf(base));
+    for (const key of Reflect.ownKeys(base)) {
+      if (!Object.prototype.propertyIsEnumerable.call(base, key)) continue;
+      Object.defineProperty(state.copy, key, {
+        value: base[key],
+        writable: true,
+        enumerable: true,
+        configurable: true,
+      });
+    }
+  }
+}
+
+/**
+ * Helper: Mark a draft and all its ancestors as modified
+ *
+ * @param {Object} state - Draft state
+ */
+function markChanged(state) {
+  for (let node = state; node && !node.modified; node = node.parent) {
+    node.modified = true;
+    prepareCopy(node);
+  }
+}
+
+/**
+ * Helper: Read a child, drafting it if it is still the original value
+ *
+ * @param {Object} state - Draft state
+ * @param {*} value - The child's current value
+ * @param {*} original - The child's value in the base
+ * @param {Function} store - Puts the child's draft into the copy
+ * @returns {*} The child or its draft
+ */
+function draftChild(state, value, original, store) {
+  if (state.finalized || value !== original || !isDraftable(value))
+    return value;
+
+  prepareCopy(state);
+  const draft = createDraft(value, state, state.scope);
+  store(draft);
+  return draft;
+}
+
+// Proxy traps for drafts of plain objects and arrays
+const objectTraps = {
+  get(target, prop, receiver) {
+    const state = targetStates.get(target);
+    const source = latest(state);
+    if (!Object.prototype.hasOwnProperty.call(source, prop))
+      return Reflect.get(source, prop, receiver);
+
+    return draftChild(state, source[prop], state.base[prop], (draft) => {
+      state.copy[prop] = draft;
+    });
+  },
+
+  set(target, prop, value) {
+    const state = targetStates.get(target);
+    const source = latest(state);
+    const unchanged =
+      Object.prototype.hasOwnProperty.call(source, prop) &&
+      Object.is(source[prop], value);
+    if (unchanged && !state.modified) return true;
+
+    markChanged(state);
+    // A new "__proto__" key is defined, so it can't change the prototype
+    if (Object.prototype.hasOwnProperty.call(state.copy, prop))
+      state.copy[prop] = value;
+    else
+      Object.defineProperty(state.copy, prop, {
+        value,
+        writable: true,
+        enumerable: true,
+        configurable: true,
+      });
+    return true;
+  },
+
+  deleteProperty(target, prop) {
+    const state = targetStates.get(target);
+    if (!Object.prototype.hasOwnProperty.call(latest(state), prop)) return true;
+
+    markChanged(state);
+    delete state.copy[prop];
+    return true;
+  },
+
+  has(target, prop) {
+    return prop in latest(targetStates.get(target));
+  },
+
+  ownKeys(target) {
+    return Reflect.ownKeys(latest(targetStates.get(target)));
+  },
+
+  getOwnPropertyDescriptor(target, prop) {
+    const source = latest(targetStates.get(target));
+    const descriptor = Reflect.getOwnPropertyDescriptor(source, prop);
+    if (!descriptor) return undefined;
+
+    // Must agree with the target, whose only own property is array length
+    if (Array.isArray(source) && prop === "length")
+      return { ...descriptor, writable: true, configurable: false };
+    return { ...descriptor, writable: true, configurable: true };
+  },
+
+  getPrototypeOf(target) {
+    return Object.getPrototypeOf(targetStates.get(target).base);
+  },
+
+  defineProperty() {
+    throw new TypeError("Can't define properties on a draft");
+  },
+
+  setPrototypeOf() {
+    throw new TypeError("Can't change the prototype of a draft");
+  },
+};
+
+// Draft versions of the Map methods, called with the draft state first
+const mapMethods = {
+  get(state, key) {
+    const value = latest(state).get(key);
+    return draftChild(state, value, state.base.get(key), (draft) =>
+      state.copy.set(key, draft),
+    );
+  },
+
+  has(state, key) {
+    return latest(state).has(key);
+  },
+
+  set(state, key, value) {
+    const source = latest(state);
+    if (!source.has(key) || !Object.is(source.get(key), value)) {
+      markChanged(state);
+      state.copy.set(key, value);
+    }
+    return state.proxy;
+  },
+
+  delete(state, key) {
+    if (!latest(state).has(key)) return false;
+    markChanged(state);
+    return state.copy.delete(key);
+  },
+
+  clear(state) {
+    if (latest(state).size === 0) return;
+    markChanged(state);
+    state.copy.clear();
+  },
+
+  forEach(state, callback, thisArg) {
+    for (const key of latest(state).keys()) {
+      callback.call(thisArg, mapMethods.get(state, key), key, state.proxy);
+    }
+  },
+
+  keys(state) {
+    return latest(state).keys();
+  },
+
+  *values(state) {
+    for (const key of latest(state).keys()) {
+      yield mapMethods.get(state, key);
+    }
+  },
+
+  *entries(state) {
+    for (const key of latest(state).keys()) {
+      yield [key, mapMethods.get(state, key)];
+    }
+  },
+
+  [Symbol.iterator](state) {
+    return mapMethods.entries(state);
+  },
+};
+
+// Draft versions of the Set methods, called with the draft state first
+const setMethods = {
+  has(state, value) {
+    const source = latest(state);
+    return (
+      source.has(value) ||
+      (state.drafts.has(value) && source.has(state.drafts.get(value)))
+    );
+  },
+
+  add(state, value) {
+    if (!setMethods.has(state, value)) {
+      markChanged(state);
+      state.copy.add(value);
+    }
+    return state.proxy;
+  },
+
+  delete(state, value) {
+    if (!setMethods.has(state, value)) return false;
+    markChanged(state);
+    return (
+      state.copy.delete(value) || state.copy.delete(state.drafts.get(value))
+    );
+  },
+
+  clear(state) {
+    if (latest(state).size === 0) return;
+    markChanged(state);
+    state.copy.clear();
+  },
+
+  forEach(state, callback, thisArg) {
+    for (const value of setMethods.values(state)) {
+      callback.call(thisArg, value, value, state.proxy);
+    }
+  },
+
+  values(state) {
+    prepareCopy(state);
+    return state.copy.values();
+  },
+
+  keys(state) {
+    return setMethods.values(state);
+  },
+
+  *entries(state) {
+    for (const value of setMethods.values(state)) {
+      yield [value, value];
+    }
+  },
+
+  [Symbol.iterator](state) {
+    return setMethods.values(state);
+  },
+};
+
+/**
+ * Helper: Proxy traps for Map and Set drafts
+ *
+ * Their methods need the internal slots of a real Map or Set, so the
+ * proxy hands out versions that work on the draft state instead.
+ *
+ * @param {Object} methods - mapMethods or setMethods
+ * @returns {Object} Proxy traps
+ */
+function collectionTraps(methods) {
+  return {
+    get(target, prop) {
+      const state = targetStates.get(target);
+      if (prop === "size") return latest(state).size;
+      if (Object.prototype.hasOwnProperty.call(methods, prop))
+        return (...args) => methods[prop](state, ...args);
+      return Reflect.get(latest(state), prop);
+    },
+
+    getPrototypeOf(target) {
+      return Object.getPrototypeOf(targetStates.get(target).base);
+    },
+  };
+}
+
+/**
+ * Helper: Replace drafts in a value with their final versions
+ *
+ * Unmodified drafts resolve to their base. New values the recipe stored
+ * are searched for drafts too, as they can contain some.
+ *
+ * @param {*} value - A draft or any other value
+ * @param {Set} [seen] - New values already searched
+ * @returns {*} The value with no drafts left in it
+ */
+function finalize(value, seen = new Set()) {
+  const state = draftStates.get(value);
+  if (!state) {
+    if (isDraftable(value) && !seen.has(value)) {
+      seen.add(value);
+      finalizeChildren(value, undefined, seen);
+    }
+    return value;
+  }
+
+  if (!state.modified) return state.base;
+  if (!state.finalized) {
+    state.finalized = true;
+    finalizeChildren(state.copy, state.base, seen);
+  }
+  return state.copy;
+}
+
+/**
+ * Helper: Finalize the children of a copy, skipping those that still are
+ * the base's own values
+ *
+ * @param {Object} container - Object, array, Map or Set to finalize
+ * @param {Object} [base] - The base the container was copied from
+ * @param {Set} seen - New values already searched
+ */
+function finalizeChildren(container, base, seen) {
+  if (container instanceof Map) {
+    for (const [key, elem] of container) {
+      if (base && base.has(key) && base.get(key) === elem) continue;
+      const final = finalize(elem, seen);
+      if (final !== elem) container.set(key, final);
+    }
+  } else if (container instanceof Set) {
+    const elems = [...container];
+    container.clear();
+    for (const elem of elems) {
+      container.add(base && base.has(elem) ? elem : finalize(elem, seen));
+    }
+  } else {
+    for (const key of Object.keys(container)) {
+      const elem = container[key];
+      if (base && base[key] === elem) continue;
+      const final = finalize(elem, seen);
+      if (final !== elem) container[key] = final;
+    }
+  }
+}
+
+const MERGE_OPTIONS = ["arrays", "arrayKey", "maps", "sets"];
+const ARRAY_STRATEGIES = ["replace", "concat", "mergeByIndex", "mergeByKey"];
+const UNSAFE_KEYS = ["__proto__", "constructor"];
+
+/**
+ * Helper: Check whether deepMerge's last argument is its options
+ *
+ * @param {*} value - The last argument
+ * @returns {boolean}
+ */
+function isMergeOptions(value) {
+  if (!isObject(value) || Object.getPrototypeOf(value) !== Object.prototype)
+    return false;
+
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every((key) => MERGE_OPTIONS.includes(key));
+}
+
+/**
+ * Helper: Validate a deepMerge strategy option
+ *
+ * @param {string} name - Option name
+ * @param {*} value - Option value
+ * @param {string[]} allowed - Valid strategies
+ * @throws {TypeError} If the strategy is unknown
+ */
+function checkStrategy(name, value, allowed) {
+  if (!allowed.includes(value))
+    throw new TypeError(
+      `Unknown ${name} strategy "${String(value)}", expected one of: ${allowed.join(", ")}`,
+    );
+}
+
+/**
+ * Helper: Find how two values are merged
+ *
+ * @param {*} current - The target's value
+ * @param {*} value - The source's value
+ * @returns {Function|null} The merge function, or null if `value` replaces
+ *   `current`
+ */
+function getMerger(current, value) {
+  if (!isObject(current) || !isObject(value)) return null;
+  if (Array.isArray(current) && Array.isArray(value)) return mergeArray;
+  if (current instanceof Map && value instanceof Map) return mergeMap;
+  if (current instanceof Set && value instanceof Set) return mergeSet;
+  if (isPlainObject(current) && isPlainObject(value)) return mergeObject;
+  return null;
+}
+
+/**
+ * Helper: Queue a merge of `source` into `target`
+ *
+ * @param {Object} target - The container to merge into
+ * @param {Object} source - The container to merge from
+ * @param {Object} context - State shared by one deepMerge call
+ */
+function queueMerge(target, source, context) {
+  context.visited.set(source, target);
+  context.tasks.push({ target, source, merge: getMerger(target, source) });
+}
+
+/**
+ * Helper: Work out the value to store for a source value
+ *
+ * Containers that match the target's are merged into it later; anything
+ * else is cloned, sharing functions and uncloneable values. The clone
+ * shares `visited` with the merge, so references back into already merged
+ * sources point at the merged target.
+ *
+ * @param {*} current - The target's value (undefined if there is none)
+ * @param {*} value - The source's value
+ * @param {Object} context - State shared by one deepMerge call
+ * @returns {*} The value to store in the target
+ */
+function mergeChild(current, value, context) {
+  if (isObject(value) && context.visited.has(value))
+    return context.visited.get(value);
+
+  if (getMerger(current, value)) {
+    queueMerge(current, value, context);
+    return current;
+  }
+
+  const cloneContext = createContext({}, context.visited);
+  cloneContext.shareUncloneable = true;
+  const copy = cloneChild(value, cloneContext, null);
+  runTasks(cloneContext, 0);
+  return copy;
+}
+
+/**
+ * Helper: Merge the own enumerable properties of a plain object
+ *
+ * @param {Object} target - The object to merge into
+ * @param {Object} source - The object to merge from
+ * @param {Object} context - State shared by one deepMerge call
+ */
+function mergeObject(target, source, context) {
+  for (const [key, value] of Object.entries(source)) {
+    if (UNSAFE_KEYS.includes(key) || value === undefined) continue;
+
+    const current = Object.prototype.hasOwnProperty.call(target, key)
+      ? target[key]
+      : undefined;
+    target[key] = mergeChild(current, value, context);
+  }
+}
+
+/**
+ * Helper: Merge arrays using the `arrays` strategy
+ *
+ * @param {Array} target - The array to merge into
+ * @param {Array} source - The array to merge from
+ * @param {Object} context - State shared by one deepMerge call
+ */
+function mergeArray(target, source, context) {
+  const { arrays, arrayKey } = context.options;
+
+  if (arrays === "replace") {
+    const values = source.map((value) => mergeChild(undefined, value, context));
+    target.length = 0;
+    for (const value of values) target.push(value);
+  } else if (arrays === "concat") {
+    for (const value of source)
+      target.push(mergeChild(undefined, value, context));
+  } else if (arrays === "mergeByIndex") {
+    source.forEach((value, index) => {
+      if (value !== undefined)
+        target[index] = mergeChild(target[index], value, context);
+    });
+  } else {
+    const getKey =
+      typeof arrayKey === "function" ? arrayKey : (elem) => elem[arrayKey];
+    const keyOf = (elem) => (isObject(elem) ? getKey(elem) : undefined);
+    const positions = new Map();
+    target.forEach((elem, index) => {
+      const key = keyOf(elem);
+      if (key !== undefined && !positions.has(key)) positions.set(key, index);
+    });
+
+    for (const value of source) {
+      const key = keyOf(value);
+      if (key !== undefined && positions.has(key)) {
+        const index = positions.get(key);
+        target[index] = mergeChild(target[index], value, context);
+      } else {
+        if (key !== undefined) positions.set(key, target.length);
+        target.push(mergeChild(undefined, value, context));
+      }
+    }
+  }
+}
+
+/**
+ * Helper: Merge Maps using the `maps` strategy, keeping keys as they are
+ *
+ * @param {Map} target - The Map to merge into
+ * @param {Map} source - The Map to merge from
+ * @param {Object} context - State shared by one deepMerge call
+ */
+function mergeMap(target, source, context) {
+  if (context.options.maps === "replace") {
+    const entries = [...source].map(([key, value]) => [
+      key,
+      mergeChild(undefined, value, context),
+    ]);
+    target.clear();
+    for (const [key, value] of entries) target.set(key, value);
+    return;
+  }
+
+  for (const [key, value] of source) {
+    target.set(key, mergeChild(target.get(key), value, context));
+  }
+}
+
+/**
+ * Helper: Merge Sets using the `sets` strategy
+ *
+ * @param {Set} target - The Set to merge into
+ * @param {Set} source - The Set to merge from
+ * @param {Object} context - State shared by one deepMerge call
+ */
+function mergeSet(target, source, context) {
+  if (context.options.sets === "replace") {
+    const values = [...source].map((value) =>
+      mergeChild(undefined, value, context),
+    );
+    target.clear();
+    for (const value of values) target.add(value);
+    return;
+  }
+
+  for (const value of source) {
+    if (findEqual(target, value) !== NOT_FOUND) continue;
+    target.add(mergeChild(undefined, value, context));
+  }
+}
+
+const MAP_MUTATORS = ["set", "delete", "clear"];
+const SET_MUTATORS = ["add", "delete", "clear"];
+const DATE_MUTATORS = Object.getOwnPropertyNames(Date.prototype).filter(
+  (name) => name.startsWith("set"),
+);
+
+/**
+ * Helper: Freeze a value and everything reachable from it, in place
+ *
+ * Walks with an explicit stack like deepClone, so deep graphs are fine.
+ *
+ * @param {*} value - The value to freeze
+ * @param {Function} isDone - Returns true for objects that don't need to
+ *   be walked again
+ * @param {boolean} [lockMutators=true] - Also replace the mutator methods
+ *   of Maps, Sets and Dates with ones that throw
+ */
+function freezeGraph(value, isDone, lockMutators = true) {
+  const stack = [value];
+  while (stack.length) {
+    const current = stack.pop();
+    if (!isObject(current) || isDone(current)) continue;
+
+    // Binary data can't be frozen, and the uncloneable types aren't data
+    if (
+      isArrayBuffer(current) ||
+      current instanceof SharedArrayBuffer ||
+      ArrayBuffer.isView(current) ||
+      UNCLONEABLE_TYPES.some((Type) => current instanceof Type)
+    )
+      continue;
+
+    if (current instanceof Map) {
+      for (const [key, elem] of current) stack.push(key, elem);
+      if (lockMutators) lockMethods(current, MAP_MUTATORS);
+    } else if (current instanceof Set) {
+      for (const elem of current) stack.push(elem);
+      if (lockMutators) lockMethods(current, SET_MUTATORS);
+    } else if (current instanceof Date && lockMutators) {
+      lockMethods(current, DATE_MUTATORS);
+    }
+
+    // Accessors are left alone rather than called
+    for (const key of Reflect.ownKeys(current)) {
+      const descriptor = Object.getOwnPropertyDescriptor(current, key);
+      if ("value" in descriptor) stack.push(descriptor.value);
+    }
+    Object.freeze(current);
+  }
+}
+
+/**
+ * Helper: Make mutator methods of an object throw
+ *
+ * Methods that are already locked are left as they are. Objects that are
+ * already non-extensible (frozen by hand, or by produce()) can't take new
+ * properties, so they keep their methods.
+ *
+ * @param {Object} object - The Map, Set or Date to lock
+ * @param {string[]} names - Method names
+ */
+function lockMethods(object, names) {
+  if (!Object.isExtensible(object)) return;
+
+  for (const name of names) {
+    const own = Object.getOwnPropertyDescriptor(object, name);
+    if (own && lockedMethods.has(own.value)) continue;
+
+    const locked = () => {
+      throw new TypeError(
+        `Cannot ${name} on a frozen ${object.constructor.name}`,
+      );
+    };
+    lockedMethods.add(locked);
+    Object.defineProperty(object, name, { value: locked });
+  }
+}
+
+// The throwing methods lockMethods() has installed
+const lockedMethods = new WeakSet();
+
+/**
+ * Helper: Check for objects whose prototype is Object.prototype or null
+ *
+ * @param {*} value - The value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  if (!isObject(value)) return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Helper: Check for values deepClone treats as objects
+ *
+ * @param {*} value - The value to check
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return typeof value === "object" && value !== null;
+}
+
+/**
+ * Helper: Check for objects that are compared and replaced as a whole
+ *
+ * @param {Object} value - The object to check
+ * @returns {boolean}
+ */
+function isAtomic(value) {
+  return (
+    value instanceof Date ||
+    value instanceof RegExp ||
+    value instanceof Error ||
+    isBoxedPrimitive(value) ||
+    isArrayBuffer(value) ||
+    value instanceof SharedArrayBuffer ||
+    ArrayBuffer.isView(value)
+  );
+}
+
+module.exports = {
+  deepClone,
+  deepCloneAsync,
+  SKIP,
+  registerCloner,
+  unregisterCloner,
+  CLONE,
+  deepEqual,
+  diff,
+  applyPatch,
+  serialize,
+  deserialize,
+  registerType,
+  unregisterType,
+  produce,
+  deepMerge,
+  deepFreeze,
+  DataCloneError,
+  CloneLimitError,
+  PatchError,
+};
@@ -1,4 +1,26 @@
-const { deepClone } = require("./index");
+const {
+  deepClone,
+  deepCloneAsync,
+  SKIP,
+  registerCloner,
+  unregisterCloner,
+  CLONE,
+  deepEqual,
+  diff,
+  applyPatch,
+  serialize,
+  deserialize,
+  registerType,
+  unregisterType,
+  produce,
+  deepMerge,
+  deepFreeze,
+  DataCloneError,
+  CloneLimitError,
+  PatchError,
+} = require("./index");
+const { EventEmitter } = require("events");
+const { types } = require("util");
 
 describe("deepClone", () => {
   describe("primitives", () => {
@@ -91,6 +113,15 @@ describe("deepClone", () => {
       expect(deepClone({})).toEqual({});
     });
 
+    test("should keep __proto__ keys as plain properties", () => {
+      const cloned = deepClone(
+        JSON.parse('{"a": {"__proto__": {"isAdmin": true}}}'),
+      );
+      expect(Object.getPrototypeOf(cloned.a)).toBe(Object.prototype);
+      expect(Object.keys(cloned.a)).toEqual(["__proto__"]);
+      expect(cloned.a.isAdmin).toBeUndefined();
+    });
+
     test("cloning should not affect original", () => {
       const obj = { a: 1, nested: { b: 2 } };
       const cloned = deepClone(obj);
@@ -146,6 +177,661 @@ describe("deepClone", () => {
     });
   });
 
+  describe("structured clone types", () => {
+    test("should clone typed arrays", () => {
+      const arr = new Uint8Array([1, 2, 3]);
+      const cloned = deepClone(arr);
+      expect(cloned).not.toBe(arr);
+      expect(cloned instanceof Uint8Array).toBe(true);
+      expect([...cloned]).toEqual([1, 2, 3]);
+      cloned[0] = 99;
+      expect(arr[0]).toBe(1);
+    });
+
+    test("should clone ArrayBuffer and DataView", () => {
+      const buffer = new ArrayBuffer(8);
+      new DataView(buffer).setInt16(0, 1234);
+      const view = new DataView(buffer, 2, 4);
+      const clonedBuffer = deepClone(buffer);
+      const clonedView = deepClone(view);
+      expect(clonedBuffer).not.toBe(buffer);
+      expect(new DataView(clonedBuffer).getInt16(0)).toBe(1234);
+      expect(clonedView instanceof DataView).toBe(true);
+      expect(clonedView.byteOffset).toBe(2);
+      expect(clonedView.byteLength).toBe(4);
+    });
+
+    test("should share one cloned buffer between views", () => {
+      const buffer = new ArrayBuffer(8);
+      const obj = {
+        bytes: new Uint8Array(buffer),
+        words: new Uint16Array(buffer, 2, 2),
+      };
+      const cloned = deepClone(obj);
+      expect(cloned.bytes.buffer).toBe(cloned.words.buffer);
+      expect(cloned.bytes.buffer).not.toBe(buffer);
+      expect(cloned.words.byteOffset).toBe(2);
+      cloned.words[0] = 0xffff;
+      expect(cloned.bytes[2]).toBe(0xff);
+      expect(obj.bytes[2]).toBe(0);
+    });
+
+    test("should keep the subclass of typed arrays", () => {
+      const buf = Buffer.from("hello");
+      const cloned = deepClone(buf);
+      expect(Buffer.isBuffer(cloned)).toBe(true);
+      expect(cloned.toString()).toBe("hello");
+    });
+
+    test("should clone errors with their details", () => {
+      const error = new TypeError("bad input", { cause: { code: 1 } });
+      error.status = 400;
+      const cloned = deepClone(error);
+      expect(cloned).not.toBe(error);
+      expect(cloned instanceof TypeError).toBe(true);
+      expect(cloned.message).toBe("bad input");
+      expect(cloned.stack).toBe(error.stack);
+      expect(cloned.cause).toEqual({ code: 1 });
+      expect(cloned.cause).not.toBe(error.cause);
+      expect(cloned.status).toBe(400);
+      expect(Object.keys(cloned)).toEqual(["status"]);
+    });
+
+    test("should clone errors as genuine Error objects", () => {
+      const cloned = deepClone(new TypeError("bad input"));
+      expect(Object.prototype.toString.call(cloned)).toBe(
+        Object.prototype.toString.call(structuredClone(new TypeError())),
+      );
+      expect(types.isNativeError(cloned)).toBe(true);
+
+      const bare = new Error("no stack");
+      delete bare.stack;
+      expect(Object.hasOwn(deepClone(bare), "stack")).toBe(false);
+    });
+
+    test("should clone Error subclasses", () => {
+      class HttpError extends Error {}
+      const cloned = deepClone(new HttpError("not found"));
+      expect(cloned instanceof HttpError).toBe(true);
+      expect(cloned.message).toBe("not found");
+    });
+
+    test("should clone boxed primitives", () => {
+      const values = [
+        new Number(42),
+        new String("text"),
+        new Boolean(false),
+        Object(BigInt(10)),
+      ];
+      const cloned = deepClone(values);
+      cloned.forEach((copy, i) => {
+        expect(copy).not.toBe(values[i]);
+        expect(typeof copy).toBe("object");
+        expect(copy.valueOf()).toBe(values[i].valueOf());
+      });
+      expect(cloned[3] instanceof BigInt).toBe(true);
+    });
+
+    test("should preserve shared references", () => {
+      const date = new Date();
+      const cloned = deepClone({ a: date, b: date });
+      expect(cloned.a).toBe(cloned.b);
+      expect(cloned.a).not.toBe(date);
+    });
+  });
+
+  describe("uncloneable values", () => {
+    test("should throw DataCloneError for functions", () => {
+      expect(() => deepClone(() => {})).toThrow(DataCloneError);
+      expect(() => deepClone({ fn() {} })).toThrow(DataCloneError);
+    });
+
+    test("should throw DataCloneError for weak collections and promises", () => {
+      expect(() => deepClone(new WeakMap())).toThrow(DataCloneError);
+      expect(() => deepClone(new WeakSet())).toThrow(DataCloneError);
+      expect(() => deepClone([Promise.resolve()])).toThrow(DataCloneError);
+    });
+
+    test("should throw DataCloneError for boxed symbols", () => {
+      expect(() => deepClone(Object(Symbol("s")))).toThrow(DataCloneError);
+    });
+
+    test("should name the error", () => {
+      expect(() => deepClone(new WeakMap())).toThrow(
+        "[object WeakMap] could not be cloned.",
+      );
+      expect(() => deepClone(function handler() {})).toThrow(
+        expect.objectContaining({
+          name: "DataCloneError",
+          message: "function handler could not be cloned.",
+        }),
+      );
+    });
+  });
+
+  describe("descriptors option", () => {
+    test("should keep getters and setters as accessors", () => {
+      const obj = {
+        first: "Ada",
+        last: "Lovelace",
+        get full() {
+          return `${this.first} ${this.last}`;
+        },
+        set full(name) {
+          [this.first, this.last] = name.split(" ");
+        },
+      };
+      const cloned = deepClone(obj, { descriptors: true });
+      const descriptor = Object.getOwnPropertyDescriptor(cloned, "full");
+      expect(typeof descriptor.get).toBe("function");
+      expect(typeof descriptor.set).toBe("function");
+      cloned.full = "Grace Hopper";
+      expect(cloned.first).toBe("Grace");
+      expect(obj.full).toBe("Ada Lovelace");
+    });
+
+    test("should flatten accessors without the option", () => {
+      const obj = {
+        get answer() {
+          return 42;
+        },
+      };
+      const descriptor = Object.getOwnPropertyDescriptor(
+        deepClone(obj),
+        "answer",
+      );
+      expect(descriptor.value).toBe(42);
+    });
+
+    test("should copy non-enumerable and symbol-keyed properties", () => {
+      const id = Symbol("id");
+      const obj = { [id]: { n: 1 } };
+      Object.defineProperty(obj, "hidden", { value: [1, 2], writable: false });
+      const cloned = deepClone(obj, { descriptors: true });
+      expect(cloned[id]).toEqual({ n: 1 });
+      expect(cloned[id]).not.toBe(obj[id]);
+      expect(Object.getOwnPropertyDescriptor(cloned, "hidden")).toEqual({
+        value: [1, 2],
+        writable: false,
+        enumerable: false,
+        configurable: false,
+      });
+      expect(cloned.hidden).not.toBe(obj.hidden);
+    });
+
+    test("should keep frozen, sealed and non-extensible state", () => {
+      const obj = {
+        frozen: Object.freeze({ a: 1 }),
+        sealed: Object.seal({ b: 2 }),
+        locked: Object.preventExtensions({ c: 3 }),
+        open: { d: 4 },
+      };
+      const cloned = deepClone(obj, { descriptors: true });
+      expect(Object.isFrozen(cloned.frozen)).toBe(true);
+      expect(Object.isSealed(cloned.sealed)).toBe(true);
+      expect(Object.isFrozen(cloned.sealed)).toBe(false);
+      expect(Object.isExtensible(cloned.locked)).toBe(false);
+      expect(Object.isSealed(cloned.locked)).toBe(false);
+      expect(Object.isExtensible(cloned.open)).toBe(true);
+    });
+
+    test("should copy array descriptors and holes", () => {
+      const arr = Object.freeze([1, , { a: 1 }]);
+      const cloned = deepClone(arr, { descriptors: true });
+      expect(Array.isArray(cloned)).toBe(true);
+      expect(cloned.length).toBe(3);
+      expect(1 in cloned).toBe(false);
+      expect(cloned[2]).not.toBe(arr[2]);
+      expect(Object.isFrozen(cloned)).toBe(true);
+    });
+
+    test("should remove skipped array elements like without the option", () => {
+      const transform = (v) => (v === 2 ? SKIP : v);
+      const list = Object.freeze([1, 2, 3, , 5]);
+      const cloned = deepClone(list, { descriptors: true, transform });
+
+      expect(cloned).toEqual([1, 3, , 5]);
+      expect(cloned.length).toBe(4);
+      expect(2 in cloned).toBe(false);
+      expect(Object.isFrozen(cloned)).toBe(true);
+      expect(deepClone([1, 2, 3], { descriptors: true, transform })).toEqual(
+        deepClone([1, 2, 3], { transform }),
+      );
+    });
+
+    test("should handle circular references in frozen objects", () => {
+      const obj = { name: "root" };
+      obj.self = obj;
+      Object.freeze(obj);
+      const cloned = deepClone(obj, { descriptors: true });
+      expect(cloned.self).toBe(cloned);
+      expect(Object.isFrozen(cloned)).toBe(true);
+    });
+  });
+
+  describe("custom cloners", () => {
+    class Counter {
+      #count;
+      constructor(count = 0) {
+        this.#count = count;
+      }
+      get count() {
+        return this.#count;
+      }
+      [CLONE]() {
+        return new Counter(this.#count);
+      }
+    }
+
+    class Node {
+      #next = null;
+      constructor(value) {
+        this.value = value;
+      }
+      get next() {
+        return this.#next;
+      }
+      link(node) {
+        this.#next = node;
+      }
+    }
+
+    afterEach(() => {
+      unregisterCloner(Node);
+    });
+
+    test("should expose the well-known symbol", () => {
+      expect(CLONE).toBe(Symbol.for("deepClone"));
+    });
+
+    test("should use the class clone method", () => {
+      const counter = new Counter(5);
+      const cloned = deepClone({ counter });
+      expect(cloned.counter).not.toBe(counter);
+      expect(cloned.counter instanceof Counter).toBe(true);
+      expect(cloned.counter.count).toBe(5);
+    });
+
+    test("should use registered cloners", () => {
+      registerCloner(Node, (node, clone) => {
+        const copy = new Node(clone(node.value));
+        if (node.next) copy.link(clone(node.next));
+        return copy;
+      });
+      const head = new Node({ id: 1 });
+      head.link(new Node({ id: 2 }));
+      const cloned = deepClone(head);
+      expect(cloned.value).toEqual({ id: 1 });
+      expect(cloned.value).not.toBe(head.value);
+      expect(cloned.next.value).toEqual({ id: 2 });
+      expect(cloned.next).not.toBe(head.next);
+    });
+
+    test("should keep cycles intact with track", () => {
+      registerCloner(Node, (node, clone, track) => {
+        const copy = track(new Node(clone(node.value)));
+        if (node.next) copy.link(clone(node.next));
+        return copy;
+      });
+      const a = new Node("a");
+      const b = new Node("b");
+      a.link(b);
+      b.link(a);
+      const cloned = deepClone([a, b]);
+      expect(cloned[0].next).toBe(cloned[1]);
+      expect(cloned[1].next).toBe(cloned[0]);
+      expect(cloned[0]).not.toBe(a);
+    });
+
+    test("should share nested references with the rest of the clone", () => {
+      const shared = { id: 1 };
+      registerCloner(Node, (node, clone) => new Node(clone(node.value)));
+      const cloned = deepClone({ node: new Node(shared), shared });
+      expect(cloned.node.value).toBe(cloned.shared);
+    });
+
+    test("should apply to subclasses", () => {
+      class Child extends Node {}
+      registerCloner(Node, (node) => new Node(`copy of ${node.value}`));
+      expect(deepClone(new Child("x")).value).toBe("copy of x");
+    });
+
+    test("should let the most specific handler win", () => {
+      class SpecialCounter extends Counter {}
+      registerCloner(SpecialCounter, () => "special");
+      try {
+        expect(deepClone(new SpecialCounter(1))).toBe("special");
+        expect(deepClone(new Counter(1)).count).toBe(1);
+      } finally {
+        unregisterCloner(SpecialCounter);
+      }
+    });
+
+    test("should override built-in handling", () => {
+      class Registry extends Map {}
+      registerCloner(Registry, (map, clone) => new Registry(clone([...map])));
+      try {
+        const cloned = deepClone(new Registry([["a", { n: 1 }]]));
+        expect(cloned instanceof Registry).toBe(true);
+        expect(cloned.get("a")).toEqual({ n: 1 });
+      } finally {
+        unregisterCloner(Registry);
+      }
+    });
+
+    test("should validate arguments", () => {
+      expect(() => registerCloner({}, () => {})).toThrow(TypeError);
+      expect(() => registerCloner(Node, null)).toThrow(TypeError);
+    });
+
+    test("should stop using unregistered cloners", () => {
+      registerCloner(Node, () => "custom");
+      expect(unregisterCloner(Node)).toBe(true);
+      expect(deepClone(new Node(1)).value).toBe(1);
+      expect(unregisterCloner(Node)).toBe(false);
+    });
+  });
+
+  describe("deep graphs", () => {
+    const DEPTH = 1000000;
+
+    test("should clone a 1,000,000-deep object chain", () => {
+      const head = { depth: 0 };
+      let node = head;
+      for (let i = 1; i < DEPTH; i++) node = node.next = { depth: i };
+      node.next = head;
+
+      const cloned = deepClone(head);
+
+      let depth = 0;
+      let copy = cloned;
+      let intact = true;
+      for (node = head; depth < DEPTH; depth++) {
+        if (copy === node || copy.depth !== node.depth) intact = false;
+        node = node.next;
+        copy = copy.next;
+      }
+      expect(intact).toBe(true);
+      expect(copy).toBe(cloned);
+    }, 30000);
+
+    test("should clone a 1,000,000-deep array nesting", () => {
+      const root = [];
+      let arr = root;
+      for (let i = 1; i < DEPTH; i++) arr.push((arr = []));
+
+      let depth = 0;
+      for (arr = deepClone(root); arr.length; arr = arr[0]) depth++;
+      expect(depth).toBe(DEPTH - 1);
+    }, 30000);
+
+    test("should clone deeply nested Map keys and Set values", () => {
+      const root = new Map();
+      let map = root;
+      for (let i = 0; i < 100000; i++) {
+        const key = { i };
+        const next = new Map();
+        map.set(key, new Set([next]));
+        map = next;
+      }
+
+      let depth = 0;
+      let keysInOrder = true;
+      for (map = deepClone(root); map.size; depth++) {
+        const [[key, set]] = map;
+        if (key.i !== depth) keysInOrder = false;
+        [map] = set;
+      }
+      expect(keysInOrder).toBe(true);
+      expect(depth).toBe(100000);
+    }, 30000);
+
+    test("should give custom cloners fully cloned nested values", () => {
+      class Box {
+        constructor(content) {
+          this.content = content;
+        }
+        [CLONE](clone) {
+          const content = clone(this.content);
+          expect(content).toEqual({ list: [1, { deep: true }] });
+          return new Box(content);
+        }
+      }
+      deepClone({ box: new Box({ list: [1, { deep: true }] }) });
+      expect.assertions(1);
+    });
+  });
+
+  describe("selective cloning", () => {
+    const state = () => ({
+      user: {
+        alice: { name: "Alice", password: "secret1" },
+        bob: { name: "Bob", password: "secret2" },
+      },
+      list: [
+        { token: "t1", id: 1 },
+        { token: "t2", id: 2 },
+      ],
+      settings: { theme: "dark", nested: { secret: "s" } },
+    });
+
+    test("should leave out excluded paths", () => {
+      const cloned = deepClone(state(), {
+        exclude: ["user.*.password", "list.*.token"],
+      });
+      expect(cloned.user).toEqual({
+        alice: { name: "Alice" },
+        bob: { name: "Bob" },
+      });
+      expect(cloned.list).toEqual([{ id: 1 }, { id: 2 }]);
+      expect(cloned.settings).toEqual(state().settings);
+    });
+
+    test("should match any number of keys with **", () => {
+      const cloned = deepClone(state(), { exclude: "**.secret" });
+      expect(cloned.settings.nested).toEqual({});
+      expect(deepClone(state(), { exclude: "**" })).toEqual({});
+    });
+
+    test("should only copy included paths and their ancestors", () => {
+      const cloned = deepClone(state(), {
+        include: ["user.*.name", "settings"],
+      });
+      expect(cloned).toEqual({
+        user: { alice: { name: "Alice" }, bob: { name: "Bob" } },
+        settings: { theme: "dark", nested: { secret: "s" } },
+      });
+    });
+
+    test("should apply exclude inside included paths", () => {
+      const cloned = deepClone(state(), {
+        include: "settings",
+        exclude: "settings.nested",
+      });
+      expect(cloned).toEqual({ settings: { theme: "dark" } });
+    });
+
+    test("should share values beyond maxDepth", () => {
+      const original = state();
+      const shallow = deepClone(original, { maxDepth: 0 });
+      expect(shallow).not.toBe(original);
+      expect(shallow.user).toBe(original.user);
+
+      const cloned = deepClone(original, { maxDepth: 1 });
+      expect(cloned.user).not.toBe(original.user);
+      expect(cloned.user.alice).toBe(original.user.alice);
+      expect(cloned.list[0]).toBe(original.list[0]);
+    });
+
+    test("should keep large buffers shared with maxDepth", () => {
+      const bytes = new Uint8Array(1024);
+      const cloned = deepClone(
+        { meta: { size: 1024 }, bytes },
+        { maxDepth: 0 },
+      );
+      expect(cloned.bytes).toBe(bytes);
+    });
+
+    test("should pass values and paths to transform", () => {
+      const transform = jest.fn((value) => value);
+      deepClone({ a: [1, { b: 2 }] }, { transform });
+      expect(transform.mock.calls).toEqual([
+        [{ a: [1, { b: 2 }] }, []],
+        [[1, { b: 2 }], ["a"]],
+        [1, ["a", 0]],
+        [{ b: 2 }, ["a", 1]],
+        [2, ["a", 1, "b"]],
+      ]);
+    });
+
+    test("should replace values with transform", () => {
+      const cloned = deepClone(state(), {
+        transform: (value, path) =>
+          path[path.length - 1] === "password" ? "***" : value,
+      });
+      expect(cloned.user.alice.password).toBe("***");
+      expect(cloned.user.alice.name).toBe("Alice");
+    });
+
+    test("should skip values with transform", () => {
+      const cloned = deepClone(
+        {
+          list: [1, 2, 3, 4],
+          map: new Map([
+            ["a", 1],
+            ["b", 2],
+          ]),
+        },
+        {
+          transform: (value) =>
+            typeof value === "number" && value % 2 ? SKIP : value,
+        },
+      );
+      expect(cloned.list).toEqual([2, 4]);
+      expect([...cloned.map]).toEqual([["b", 2]]);
+      expect(deepClone(1, { transform: () => SKIP })).toBeUndefined();
+    });
+
+    test("should clone values returned by transform", () => {
+      const replacement = { fresh: true };
+      const cloned = deepClone(
+        { a: 1 },
+        {
+          transform: (value, path) =>
+            path.join(".") === "a" ? replacement : value,
+        },
+      );
+      expect(cloned.a).toEqual(replacement);
+      expect(cloned.a).not.toBe(replacement);
+    });
+  });
+
+  describe("budgets and cancellation", () => {
+    test("should stop at maxNodes and report the path", () => {
+      const original = { a: { b: [1, 2, 3] } };
+      expect(deepClone(original, { maxNodes: 6 })).toEqual(original);
+
+      let error;
+      try {
+        deepClone(original, { maxNodes: 4 });
+      } catch (e) {
+        error = e;
+      }
+      expect(error).toBeInstanceOf(CloneLimitError);
+      expect(error.name).toBe("CloneLimitError");
+      expect(error.limit).toBe("maxNodes");
+      expect(error.path).toEqual(["a", "b", 1]);
+      expect(error.message).toBe('Clone exceeded maxNodes (4) at "a.b.1"');
+    });
+
+    test("should count shared references once", () => {
+      const shared = { x: 1 };
+      expect(() =>
+        deepClone({ a: shared, b: shared }, { maxNodes: 4 }),
+      ).not.toThrow();
+    });
+
+    test("should stop at maxBytes", () => {
+      const original = { small: "abc", big: "x".repeat(10000) };
+      expect(() => deepClone(original, { maxBytes: 10000 })).toThrow(
+        CloneLimitError,
+      );
+      expect(() => deepClone(original, { maxBytes: 100000 })).not.toThrow();
+
+      const buffer = new ArrayBuffer(4096);
+      expect(() => deepClone({ buffer }, { maxBytes: 1000 })).toThrow(
+        'Clone exceeded maxBytes (1000) at "buffer"',
+      );
+    });
+
+    test("should stop when the signal is aborted", () => {
+      const controller = new AbortController();
+      controller.abort();
+      expect(() => deepClone({ a: 1 }, { signal: controller.signal })).toThrow(
+        expect.objectContaining({ name: "AbortError" }),
+      );
+
+      const reason = new Error("stop");
+      const aborting = new AbortController();
+      const transform = (value, path) => {
+        if (path.join(".") === "b") aborting.abort(reason);
+        return value;
+      };
+      expect(() =>
+        deepClone({ a: 1, b: 2, c: 3 }, { signal: aborting.signal, transform }),
+      ).toThrow(reason);
+    });
+
+    test("deepCloneAsync should clone like deepClone", async () => {
+      const original = {
+        date: new Date(0),
+        list: [1, { a: 2 }],
+        map: new Map([["k", new Set([1])]]),
+      };
+      original.self = original;
+      const cloned = await deepCloneAsync(original, { exclude: "list.0" });
+
+      expect(cloned.self).toBe(cloned);
+      expect(cloned.list).toEqual([{ a: 2 }]);
+      expect(cloned.map).toEqual(original.map);
+      expect(cloned.date).not.toBe(original.date);
+    });
+
+    test("deepCloneAsync should yield to the event loop", async () => {
+      let original = {};
+      for (let i = 0; i < 5000; i++) original = { next: original };
+
+      let ticks = 0;
+      const tick = () => {
+        ticks++;
+        if (ticks < 1000) setImmediate(tick);
+      };
+      setImmediate(tick);
+
+      await deepCloneAsync(original, { yieldEvery: 100 });
+      expect(ticks).toBeGreaterThanOrEqual(40);
+    });
+
+    test("deepCloneAsync should stop when aborted while paused", async () => {
+      let original = {};
+      for (let i = 0; i < 5000; i++) original = { next: original };
+      const controller = new AbortController();
+
+      const promise = deepCloneAsync(original, {
+        yieldEvery: 100,
+        signal: controller.signal,
+      });
+      controller.abort();
+      await expect(promise).rejects.toMatchObject({ name: "AbortError" });
+    });
+
+    test("deepCloneAsync should enforce budgets", async () => {
+      await expect(
+        deepCloneAsync([1, 2, 3], { maxNodes: 2 }),
+      ).rejects.toBeInstanceOf(CloneLimitError);
+    });
+  });
+
   describe("circular references", () => {
     test("should handle self-referencing objects", () => {
       const obj = { name: "circular" };
@@ -197,3 +883,955 @@ describe("deepClone", () => {
     });
   });
 });
+
+describe("deepEqual", () => {
+  test("should compare primitives by SameValue", () => {
+    expect(deepEqual(1, 1)).toBe(true);
+    expect(deepEqual(NaN, NaN)).toBe(true);
+    expect(deepEqual("1", 1)).toBe(false);
+    expect(deepEqual(null, undefined)).toBe(false);
+  });
+
+  test("should compare nested objects and arrays", () => {
+    expect(deepEqual({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] })).toBe(true);
+    expect(deepEqual({ a: [1, { b: 2 }] }, { a: [1, { b: 3 }] })).toBe(false);
+    expect(deepEqual({ a: 1 }, { a: 1, b: undefined })).toBe(false);
+    expect(deepEqual([1, 2], [1, 2, 3])).toBe(false);
+  });
+
+  test("should require matching prototypes", () => {
+    class Point {
+      constructor(x) {
+        this.x = x;
+      }
+    }
+    expect(deepEqual(new Point(1), new Point(1))).toBe(true);
+    expect(deepEqual(new Point(1), { x: 1 })).toBe(false);
+    expect(deepEqual([], {})).toBe(false);
+  });
+
+  test("should compare special types", () => {
+    expect(deepEqual(new Date(5), new Date(5))).toBe(true);
+    expect(deepEqual(new Date(5), new Date(6))).toBe(false);
+    expect(deepEqual(/a/g, /a/g)).toBe(true);
+    expect(deepEqual(/a/g, /a/i)).toBe(false);
+    expect(deepEqual(new Uint8Array([1, 2]), new Uint8Array([1, 2]))).toBe(
+      true,
+    );
+    expect(deepEqual(new Uint8Array([1, 2]), new Uint8Array([1, 3]))).toBe(
+      false,
+    );
+    expect(deepEqual(new Number(1), new Number(1))).toBe(true);
+    expect(deepEqual(new Error("a"), new Error("b"))).toBe(false);
+  });
+
+  test("should match Map keys and Set values by deep equality", () => {
+    const a = new Map([[{ id: 1 }, new Set([{ n: 1 }, 2])]]);
+    const b = new Map([[{ id: 1 }, new Set([2, { n: 1 }])]]);
+    expect(deepEqual(a, b)).toBe(true);
+    expect(deepEqual(new Set([{ n: 1 }]), new Set([{ n: 2 }]))).toBe(false);
+    expect(deepEqual(new Map([["a", 1]]), new Map([["a", 2]]))).toBe(false);
+  });
+
+  test("should compare large Maps and Sets in linear time", () => {
+    const numbers = Array.from({ length: 20000 }, (_, i) => i);
+    const map = new Map(numbers.map((n) => [n, n]));
+
+    expect(deepEqual(new Set(numbers), new Set(numbers))).toBe(true);
+    expect(deepEqual(map, new Map(map))).toBe(true);
+    expect(diff(map, new Map(map))).toEqual([]);
+  }, 10000);
+
+  test("should treat a value and its clone as equal", () => {
+    const obj = {
+      date: new Date(),
+      map: new Map([[{ k: 1 }, [1, 2]]]),
+      bytes: new Uint8Array([1, 2, 3]),
+    };
+    obj.self = obj;
+    expect(deepEqual(obj, deepClone(obj))).toBe(true);
+  });
+
+  test("should handle circular references", () => {
+    const a = { name: "node" };
+    a.self = a;
+    const b = { name: "node" };
+    b.self = b;
+    expect(deepEqual(a, b)).toBe(true);
+    b.name = "other";
+    expect(deepEqual(a, b)).toBe(false);
+  });
+
+  test("should compare a 50,000-deep linked list with its clone", () => {
+    const head = { n: 0 };
+    let node = head;
+    for (let i = 1; i < 50000; i++) node = node.next = { n: i };
+    const copy = deepClone(head);
+
+    expect(deepEqual(head, copy)).toBe(true);
+    node.n = -1;
+    expect(deepEqual(head, copy)).toBe(false);
+  }, 10000);
+});
+
+describe("diff", () => {
+  test("should return no operations for equal values", () => {
+    const obj = { a: [1, { b: new Date(0) }] };
+    expect(diff(obj, deepClone(obj))).toEqual([]);
+  });
+
+  test("should describe object changes as JSON Patch", () => {
+    const ops = diff(
+      { keep: 1, change: { deep: 1 }, drop: true },
+      { keep: 1, change: { deep: 2 }, "new/key": "x" },
+    );
+    expect(ops).toEqual([
+      { op: "replace", path: "/change/deep", value: 2 },
+      { op: "remove", path: "/drop" },
+      { op: "add", path: "/new~1key", value: "x" },
+    ]);
+  });
+
+  test("should describe array changes", () => {
+    expect(diff([1, 2, 3, 4], [1, 5])).toEqual([
+      { op: "replace", path: "/1", value: 5 },
+      { op: "remove", path: "/3" },
+      { op: "remove", path: "/2" },
+    ]);
+    expect(diff([1], [1, 2, 3])).toEqual([
+      { op: "add", path: "/1", value: 2 },
+      { op: "add", path: "/2", value: 3 },
+    ]);
+  });
+
+  test("should replace values whose type or prototype changed", () => {
+    expect(diff({ a: [1] }, { a: { 0: 1 } })).toEqual([
+      { op: "replace", path: "/a", value: { 0: 1 } },
+    ]);
+    expect(diff(new Date(0), new Date(1))).toEqual([
+      { op: "replace", path: "", value: new Date(1) },
+    ]);
+  });
+
+  test("should describe Map and Set changes", () => {
+    const ops = diff(
+      {
+        map: new Map([
+          ["a", 1],
+          ["b", 2],
+        ]),
+        set: new Set([1, 2]),
+      },
+      {
+        map: new Map([
+          ["a", 1],
+          ["b", 3],
+          ["c", 4],
+        ]),
+        set: new Set([2, 3]),
+      },
+    );
+    expect(ops).toEqual([
+      { op: "mapSet", path: "/map", key: "b", value: 3 },
+      { op: "mapSet", path: "/map", key: "c", value: 4 },
+      { op: "setDelete", path: "/set", value: 1 },
+      { op: "setAdd", path: "/set", value: 3 },
+    ]);
+    expect(diff(new Map([["a", 1]]), new Map())).toEqual([
+      { op: "mapDelete", path: "", key: "a" },
+    ]);
+  });
+
+  test("should clone values in operations", () => {
+    const b = { list: [{ n: 1 }] };
+    const [op] = diff({}, b);
+    expect(op.value).toEqual(b.list);
+    expect(op.value).not.toBe(b.list);
+  });
+
+  test("should handle circular references", () => {
+    const a = { name: "a" };
+    a.self = a;
+    const b = { name: "b" };
+    b.self = b;
+    expect(diff(a, b)).toEqual([{ op: "replace", path: "/name", value: "b" }]);
+  });
+
+  test("should diff a 50,000-deep linked list", () => {
+    const head = { n: 0 };
+    let node = head;
+    for (let i = 1; i < 50000; i++) node = node.next = { n: i };
+    const changed = deepClone(head);
+    expect(diff(head, changed)).toEqual([]);
+
+    node.n = -1;
+    const ops = diff(head, changed);
+    expect(ops).toEqual([
+      { op: "replace", path: `${"/next".repeat(49999)}/n`, value: 49999 },
+    ]);
+  }, 10000);
+});
+
+describe("applyPatch", () => {
+  test("should turn the original into the changed value", () => {
+    const original = {
+      user: { name: "Ada", tags: ["a", "b", "c"] },
+      seen: new Set([1, { id: 2 }]),
+      scores: new Map([
+        [{ level: 1 }, 10],
+        ["best", 5],
+      ]),
+      created: new Date(0),
+    };
+    original.self = original;
+    const changed = deepClone(original);
+    changed.user.name = "Grace";
+    changed.user.tags.splice(1, 1);
+    changed.user.email = "grace@example.com";
+    changed.seen.add({ id: 3 });
+    changed.seen.delete(1);
+    changed.scores.set([...changed.scores.keys()][0], 20);
+    changed.scores.delete("best");
+    changed.created = new Date(1);
+
+    const patched = applyPatch(deepClone(original), diff(original, changed));
+    expect(deepEqual(patched, changed)).toBe(true);
+  });
+
+  test("should patch in place and return the target", () => {
+    const target = { a: 1 };
+    expect(applyPatch(target, [{ op: "replace", path: "/a", value: 2 }])).toBe(
+      target,
+    );
+    expect(target).toEqual({ a: 2 });
+  });
+
+  test("should support all RFC 6902 operations", () => {
+    const doc = { list: [1, 2], obj: { a: 1 } };
+    const result = applyPatch(doc, [
+      { op: "add", path: "/list/1", value: 9 },
+      { op: "add", path: "/list/-", value: 3 },
+      { op: "remove", path: "/list/0" },
+      { op: "move", from: "/obj/a", path: "/moved" },
+      { op: "copy", from: "/list", path: "/obj/copy" },
+      { op: "test", path: "/moved", value: 1 },
+      { op: "replace", path: "/list/0", value: "x" },
+    ]);
+    expect(result).toEqual({
+      list: ["x", 2, 3],
+      obj: { copy: [9, 2, 3] },
+      moved: 1,
+    });
+    expect(result.obj.copy).not.toBe(result.list);
+  });
+
+  test("should replace the root", () => {
+    expect(
+      applyPatch({ a: 1 }, [{ op: "replace", path: "", value: [1] }]),
+    ).toEqual([1]);
+  });
+
+  test("should throw PatchError when a test fails", () => {
+    expect(() =>
+      applyPatch({ a: 1 }, [{ op: "test", path: "/a", value: 2 }]),
+    ).toThrow(PatchError);
+  });
+
+  test("should throw PatchError for missing paths and unknown operations", () => {
+    expect(() => applyPatch({}, [{ op: "remove", path: "/a" }])).toThrow(
+      'Path "/a" does not exist',
+    );
+    expect(() =>
+      applyPatch({}, [{ op: "add", path: "/a/b", value: 1 }]),
+    ).toThrow(PatchError);
+    expect(() => applyPatch([], [{ op: "add", path: "/5", value: 1 }])).toThrow(
+      PatchError,
+    );
+    expect(() => applyPatch({}, [{ op: "frobnicate", path: "" }])).toThrow(
+      'Unknown operation "frobnicate"',
+    );
+  });
+
+  test("should not allow prototype pollution", () => {
+    expect(() =>
+      applyPatch({}, [
+        { op: "add", path: "/constructor/prototype/polluted", value: true },
+      ]),
+    ).toThrow(PatchError);
+    expect(() =>
+      applyPatch({}, [{ op: "add", path: "/__proto__/polluted", value: true }]),
+    ).toThrow(PatchError);
+
+    const doc = applyPatch({}, [
+      { op: "add", path: "/__proto__", value: { polluted: true } },
+    ]);
+    expect(Object.getPrototypeOf(doc)).toBe(Object.prototype);
+    expect({}.polluted).toBeUndefined();
+
+    const nested = applyPatch({}, [
+      {
+        op: "add",
+        path: "/a",
+        value: JSON.parse('{"__proto__": {"isAdmin": true}}'),
+      },
+    ]);
+    expect(Object.getPrototypeOf(nested.a)).toBe(Object.prototype);
+    expect(nested.a.isAdmin).toBeUndefined();
+  });
+});
+
+describe("serialize/deserialize", () => {
+  const roundTrip = (value) => deserialize(serialize(value));
+
+  test("should produce JSON", () => {
+    const text = serialize({ a: [1, "two", null, true] });
+    expect(typeof text).toBe("string");
+    expect(() => JSON.parse(text)).not.toThrow();
+    expect(roundTrip({ a: [1, "two", null, true] })).toEqual({
+      a: [1, "two", null, true],
+    });
+  });
+
+  test("should keep primitives JSON can't represent", () => {
+    const values = [undefined, NaN, Infinity, -Infinity, -0, BigInt(42)];
+    const restored = roundTrip(values);
+    restored.forEach((value, i) => expect(value).toBe(values[i]));
+  });
+
+  test("should keep special types", () => {
+    const buffer = new ArrayBuffer(8);
+    const value = {
+      date: new Date("2024-01-15T12:00:00Z"),
+      regex: /test/gi,
+      map: new Map([[{ id: 1 }, new Set(["a", 2])]]),
+      bytes: new Uint8Array(buffer, 0, 4),
+      view: new DataView(buffer, 4),
+      floats: new Float64Array([1.5, NaN]),
+      error: new RangeError("too big", { cause: "input" }),
+      boxed: [new Number(1), new String("s"), new Boolean(false)],
+      bare: Object.create(null),
+    };
+    value.bytes[0] = 7;
+    value.error.limit = 10;
+    const restored = roundTrip(value);
+
+    expect(deepEqual(restored, deepClone(value))).toBe(true);
+    expect(restored.date instanceof Date).toBe(true);
+    expect(restored.regex.flags).toBe("gi");
+    expect(restored.bytes[0]).toBe(7);
+    expect(restored.bytes.buffer).toBe(restored.view.buffer);
+    expect(restored.error instanceof RangeError).toBe(true);
+    expect(types.isNativeError(restored.error)).toBe(true);
+    expect(restored.error.cause).toBe("input");
+    expect(restored.error.stack).toBe(value.error.stack);
+    expect(Object.getPrototypeOf(restored.bare)).toBe(null);
+  });
+
+  test("should keep shared and circular references", () => {
+    const shared = { id: 1 };
+    const value = { a: shared, b: [shared] };
+    value.self = value;
+    const restored = roundTrip(value);
+    expect(restored.a).toBe(restored.b[0]);
+    expect(restored.self).toBe(restored);
+  });
+
+  test("should handle very deep structures", () => {
+    const root = {};
+    let node = root;
+    for (let i = 0; i < 100000; i++) node = node.next = { i };
+
+    let depth = 0;
+    for (node = roundTrip(root); node.next; node = node.next) depth++;
+    expect(depth).toBe(100000);
+  }, 30000);
+
+  test("should keep __proto__ keys as plain properties", () => {
+    const restored = deserialize(
+      serialize(JSON.parse('{"__proto__": {"polluted": true}}')),
+    );
+    expect(Object.keys(restored)).toEqual(["__proto__"]);
+    expect(restored.polluted).toBeUndefined();
+  });
+
+  test("should throw DataCloneError for values it can't store", () => {
+    class Point {}
+    expect(() => serialize(() => {})).toThrow(DataCloneError);
+    expect(() => serialize(Symbol("s"))).toThrow(DataCloneError);
+    expect(() => serialize({ p: new Point() })).toThrow(DataCloneError);
+    expect(() => serialize(new WeakMap())).toThrow(DataCloneError);
+  });
+
+  test("should reject text it didn't produce", () => {
+    expect(() => deserialize("{}")).toThrow("Not a serialized value");
+    expect(() =>
+      deserialize('{"$serial":99,"root":null,"objects":[]}'),
+    ).toThrow("Unsupported format version 99");
+    expect(() =>
+      deserialize('{"$serial":1,"root":{"$ref":0},"objects":[{"t":"Nope"}]}'),
+    ).toThrow('Unknown type "Nope"');
+  });
+
+  test("should reject views without a stored buffer", () => {
+    const view = (buffer) =>
+      JSON.stringify({
+        $serial: 1,
+        root: { $ref: 0 },
+        objects: [{ t: "Uint8Array", v: [buffer, 0, 5] }],
+      });
+    expect(() => deserialize(view(5))).toThrow("Invalid value 5");
+    expect(() => deserialize(view({ $t: "number", v: "1e9" }))).toThrow(
+      "Invalid value",
+    );
+  });
+
+  describe("custom types", () => {
+    class Point {
+      #x;
+      #y;
+      constructor(x, y) {
+        this.#x = x;
+        this.#y = y;
+      }
+      toJSON() {
+        return [this.#x, this.#y];
+      }
+    }
+
+    afterEach(() => {
+      unregisterType(Point);
+    });
+
+    test("should store registered classes under their tag", () => {
+      registerType(Point, {
+        tag: "Point",
+        serialize: (point) => point.toJSON(),
+        deserialize: ([x, y]) => new Point(x, y),
+      });
+      const value = { a: new Point(1, 2) };
+      value.b = value.a;
+      const text = serialize(value);
+      expect(JSON.parse(text).objects).toContainEqual({
+        t: "Point",
+        version: 1,
+        v: { $ref: 2 },
+      });
+
+      const restored = deserialize(text);
+      expect(restored.a instanceof Point).toBe(true);
+      expect(restored.a.toJSON()).toEqual([1, 2]);
+      expect(restored.b).toBe(restored.a);
+    });
+
+    test("should pass the stored version for migrations", () => {
+      registerType(Point, {
+        tag: "Point",
+        serialize: (point) => point.toJSON(),
+        deserialize: ([x, y]) => new Point(x, y),
+      });
+      const text = serialize(new Point(1, 2));
+      unregisterType(Point);
+
+      const deserializeV2 = jest.fn((data, version) =>
+        version === 1 ? new Point(...data) : new Point(data.x, data.y),
+      );
+      registerType(Point, {
+        tag: "Point",
+        version: 2,
+        serialize: (point) => {
+          const [x, y] = point.toJSON();
+          return { x, y };
+        },
+        deserialize: deserializeV2,
+      });
+      expect(deserialize(text).toJSON()).toEqual([1, 2]);
+      expect(deserializeV2).toHaveBeenCalledWith([1, 2], 1);
+      expect(deserialize(serialize(new Point(3, 4))).toJSON()).toEqual([3, 4]);
+    });
+
+    test("should refuse data written by a newer version", () => {
+      const type = {
+        tag: "Point",
+        serialize: (point) => point.toJSON(),
+        deserialize: ([x, y]) => new Point(x, y),
+      };
+      registerType(Point, { ...type, version: 3 });
+      const text = serialize(new Point(1, 2));
+      unregisterType(Point);
+      registerType(Point, type);
+      expect(() => deserialize(text)).toThrow(
+        '"Point" version 3 is newer than version 1',
+      );
+    });
+
+    test("should validate registrations", () => {
+      const type = { tag: "Point", serialize() {}, deserialize() {} };
+      expect(() => registerType({}, type)).toThrow(TypeError);
+      expect(() => registerType(Point, { ...type, tag: "" })).toThrow(
+        TypeError,
+      );
+      expect(() => registerType(Point, { ...type, version: 0 })).toThrow(
+        TypeError,
+      );
+      expect(() => registerType(Point, { ...type, tag: "Map" })).toThrow(
+        'Tag "Map" is already in use',
+      );
+    });
+  });
+});
+
+describe("produce", () => {
+  test("should copy only the changed path", () => {
+    const base = { a: { b: 1 }, c: { d: 2 }, list: [{ id: 1 }, { id: 2 }] };
+    const next = produce(base, (draft) => {
+      draft.a.b = 2;
+      draft.list[1].id = 3;
+    });
+
+    expect(next).toEqual({
+      a: { b: 2 },
+      c: { d: 2 },
+      list: [{ id: 1 }, { id: 3 }],
+    });
+    expect(base).toEqual({
+      a: { b: 1 },
+      c: { d: 2 },
+      list: [{ id: 1 }, { id: 2 }],
+    });
+    expect(next).not.toBe(base);
+    expect(next.c).toBe(base.c);
+    expect(next.list[0]).toBe(base.list[0]);
+  });
+
+  test("should return the base when nothing changes", () => {
+    const base = { a: { b: 1 }, list: [1, 2] };
+    const next = produce(base, (draft) => {
+      draft.a.b = 1;
+      void draft.list[0];
+    });
+
+    expect(next).toBe(base);
+  });
+
+  test("should support array methods", () => {
+    const base = { list: [3, 1, 2] };
+    const next = produce(base, (draft) => {
+      draft.list.push(4);
+      draft.list.sort();
+      draft.list.splice(0, 1);
+    });
+
+    expect(next.list).toEqual([2, 3, 4]);
+    expect(base.list).toEqual([3, 1, 2]);
+    expect(Array.isArray(next.list)).toBe(true);
+  });
+
+  test("should add and delete properties", () => {
+    const base = { a: 1, b: 2 };
+    const next = produce(base, (draft) => {
+      delete draft.a;
+      draft.c = 3;
+      expect("a" in draft).toBe(false);
+      expect(Object.keys(draft)).toEqual(["b", "c"]);
+    });
+
+    expect(next).toEqual({ b: 2, c: 3 });
+  });
+
+  test("should draft Map values", () => {
+    const user = { name: "Ann" };
+    const base = {
+      users: new Map([
+        ["a", user],
+        ["b", { name: "Bob" }],
+      ]),
+    };
+    const next = produce(base, (draft) => {
+      draft.users.get("a").name = "Anna";
+      draft.users.set("c", { name: "Cy" });
+      expect(draft.users.size).toBe(3);
+    });
+
+    expect(next.users.get("a")).toEqual({ name: "Anna" });
+    expect(next.users.get("b")).toBe(base.users.get("b"));
+    expect(next.users.has("c")).toBe(true);
+    expect(user).toEqual({ name: "Ann" });
+    expect(base.users.size).toBe(2);
+  });
+
+  test("should draft Set members", () => {
+    const base = new Set([{ id: 1 }, { id: 2 }, "x"]);
+    const next = produce(base, (draft) => {
+      for (const item of draft) {
+        if (typeof item === "object" && item.id === 2) item.id = 20;
+      }
+      draft.delete("x");
+      draft.add("y");
+    });
+
+    expect([...next]).toEqual([{ id: 1 }, { id: 20 }, "y"]);
+    expect([...base]).toEqual([{ id: 1 }, { id: 2 }, "x"]);
+    expect([...next][0]).toBe([...base][0]);
+  });
+
+  test("should use a value returned from the recipe", () => {
+    expect(produce({ a: 1 }, () => ({ b: 2 }))).toEqual({ b: 2 });
+    expect(produce(5, (n) => n + 1)).toBe(6);
+  });
+
+  test("should resolve drafts inside returned and assigned values", () => {
+    const base = { a: { b: 1 }, c: [] };
+    const next = produce(base, (draft) => {
+      draft.c.push({ ref: draft.a });
+    });
+
+    expect(next.c[0].ref).toBe(base.a);
+  });
+
+  test("should throw when the recipe modifies the draft and returns a value", () => {
+    expect(() =>
+      produce({ a: 1 }, (draft) => {
+        draft.a = 2;
+        return { a: 3 };
+      }),
+    ).toThrow(/either modify the draft or return a new value/);
+  });
+
+  test("should revoke drafts after producing", () => {
+    let leaked;
+    produce({ a: { b: 1 } }, (draft) => {
+      leaked = draft.a;
+    });
+
+    expect(() => leaked.b).toThrow(TypeError);
+  });
+
+  test("should deep freeze the result by default", () => {
+    const next = produce({ a: { b: 1 }, m: new Map() }, (draft) => {
+      draft.a.b = 2;
+      draft.s = new Set([1]);
+    });
+
+    expect(Object.isFrozen(next)).toBe(true);
+    expect(Object.isFrozen(next.a)).toBe(true);
+    expect(Object.isFrozen(next.m)).toBe(true);
+    expect(Object.isFrozen(next.s)).toBe(true);
+  });
+
+  test("should leave the methods of shared Dates, Maps and Sets alone", () => {
+    const base = { when: new Date(0), m: new Map(), s: new Set() };
+    produce(base, (draft) => {
+      draft.x = 1;
+    });
+
+    base.when.setFullYear(2000);
+    base.m.set("k", 1);
+    base.s.add(1);
+    expect(base.when.getFullYear()).toBe(2000);
+    expect(base.m.get("k")).toBe(1);
+    expect(base.s.has(1)).toBe(true);
+  });
+
+  test("should not freeze class instances in the state", () => {
+    const base = { em: new EventEmitter(), n: 1 };
+    const next = produce(base, (draft) => {
+      draft.n = 2;
+    });
+
+    expect(Object.isFrozen(next)).toBe(true);
+    expect(next.em).toBe(base.em);
+    expect(Object.isFrozen(base.em)).toBe(false);
+    const listener = jest.fn();
+    base.em.on("x", listener);
+    base.em.emit("x");
+    expect(listener).toHaveBeenCalled();
+  });
+
+  test("should not let __proto__ assignments change a draft's prototype", () => {
+    const payload = { isAdmin: true };
+    const next = produce({ a: 1 }, (draft) => {
+      draft.__proto__ = payload;
+    });
+
+    expect(Object.getPrototypeOf(next)).toBe(Object.prototype);
+    expect(next.isAdmin).toBeUndefined();
+    expect(Object.keys(next)).toEqual(["a", "__proto__"]);
+  });
+
+  test("should not freeze with autoFreeze: false", () => {
+    const next = produce(
+      { a: { b: 1 } },
+      (draft) => {
+        draft.a.b = 2;
+      },
+      { autoFreeze: false },
+    );
+
+    expect(Object.isFrozen(next)).toBe(false);
+    expect(Object.isFrozen(next.a)).toBe(false);
+  });
+
+  test("should not freeze in production mode", () => {
+    const env = process.env.NODE_ENV;
+    process.env.NODE_ENV = "production";
+    try {
+      const next = produce({ a: 1 }, (draft) => {
+        draft.a = 2;
+      });
+      expect(Object.isFrozen(next)).toBe(false);
+    } finally {
+      process.env.NODE_ENV = env;
+    }
+  });
+});
+
+describe("deepMerge", () => {
+  test("should merge nested objects into the target", () => {
+    const target = { a: { b: 1, c: 2 }, d: 1 };
+    const result = deepMerge(target, { a: { c: 3, e: 4 } }, { f: 5 });
+
+    expect(result).toBe(target);
+    expect(target).toEqual({ a: { b: 1, c: 3, e: 4 }, d: 1, f: 5 });
+  });
+
+  test("should clone source values and ignore undefined", () => {
+    const source = { a: { b: [1, 2] }, c: undefined };
+    const result = deepMerge({ c: 1 }, source);
+
+    expect(result).toEqual({ a: { b: [1, 2] }, c: 1 });
+    expect(result.a).not.toBe(source.a);
+    expect(result.a.b).not.toBe(source.a.b);
+  });
+
+  test("should replace values of different types", () => {
+    const date = new Date(0);
+    const result = deepMerge(
+      { a: { b: 1 }, c: [1], d: 1 },
+      { a: 2, c: { x: 1 }, d: date },
+    );
+
+    expect(result.a).toBe(2);
+    expect(result.c).toEqual({ x: 1 });
+    expect(result.d).toEqual(date);
+    expect(result.d).not.toBe(date);
+  });
+
+  test("should apply array strategies", () => {
+    const target = () => ({ list: [1, 2, 3] });
+    const source = { list: [9] };
+
+    expect(deepMerge(target(), source).list).toEqual([9]);
+    expect(deepMerge(target(), source, { arrays: "concat" }).list).toEqual([
+      1, 2, 3, 9,
+    ]);
+    expect(
+      deepMerge(target(), source, { arrays: "mergeByIndex" }).list,
+    ).toEqual([9, 2, 3]);
+  });
+
+  test("should merge array elements by key", () => {
+    const target = {
+      users: [
+        { id: 1, name: "Ann" },
+        { id: 2, name: "Bob" },
+      ],
+    };
+    deepMerge(
+      target,
+      {
+        users: [
+          { id: 2, age: 30 },
+          { id: 3, name: "Cy" },
+        ],
+      },
+      { arrays: "mergeByKey" },
+    );
+
+    expect(target.users).toEqual([
+      { id: 1, name: "Ann" },
+      { id: 2, name: "Bob", age: 30 },
+      { id: 3, name: "Cy" },
+    ]);
+
+    const byName = deepMerge([{ name: "a", n: 1 }], [{ name: "a", m: 2 }], {
+      arrays: "mergeByKey",
+      arrayKey: (user) => user.name,
+    });
+    expect(byName).toEqual([{ name: "a", n: 1, m: 2 }]);
+  });
+
+  test("should merge Maps and Sets", () => {
+    const target = {
+      m: new Map([["a", { x: 1 }]]),
+      s: new Set([1, { id: 1 }]),
+    };
+    deepMerge(target, {
+      m: new Map([
+        ["a", { y: 2 }],
+        ["b", 1],
+      ]),
+      s: new Set([{ id: 1 }, 2]),
+    });
+
+    expect(target.m).toEqual(
+      new Map([
+        ["a", { x: 1, y: 2 }],
+        ["b", 1],
+      ]),
+    );
+    expect(target.s).toEqual(new Set([1, { id: 1 }, 2]));
+
+    deepMerge(
+      target,
+      { m: new Map([["c", 3]]), s: new Set([3]) },
+      { maps: "replace", sets: "replace" },
+    );
+    expect(target.m).toEqual(new Map([["c", 3]]));
+    expect(target.s).toEqual(new Set([3]));
+  });
+
+  test("should ignore __proto__ and constructor keys", () => {
+    const source = JSON.parse(
+      '{"__proto__": {"polluted": true}, "constructor": {"prototype": {"polluted": true}}, "a": 1}',
+    );
+    const result = deepMerge({}, source);
+
+    expect(result).toEqual({ a: 1 });
+    expect({}.polluted).toBeUndefined();
+    expect(Object.getPrototypeOf(result)).toBe(Object.prototype);
+  });
+
+  test("should keep functions and uncloneable values by reference", () => {
+    const onError = () => {};
+    const onRetry = () => {};
+    const cache = new WeakMap();
+    const result = deepMerge(
+      { a: 1, handlers: { onError: null } },
+      { onError, handlers: { onError, onRetry }, nested: { cache, onRetry } },
+    );
+
+    expect(result.onError).toBe(onError);
+    expect(result.handlers).toEqual({ onError, onRetry });
+    expect(result.nested.cache).toBe(cache);
+    expect(result.nested.onRetry).toBe(onRetry);
+  });
+
+  test("should not let nested __proto__ keys change prototypes", () => {
+    const result = deepMerge(
+      { b: {} },
+      JSON.parse(
+        '{"a": {"__proto__": {"isAdmin": true}}, "b": {"__proto__": {"isAdmin": true}}}',
+      ),
+    );
+
+    expect(result.a.isAdmin).toBeUndefined();
+    expect(Object.getPrototypeOf(result.a)).toBe(Object.prototype);
+    expect(result.b.isAdmin).toBeUndefined();
+    expect(Object.getPrototypeOf(result.b)).toBe(Object.prototype);
+  });
+
+  test("should keep circular and shared references", () => {
+    const shared = { value: 1 };
+    const source = { x: shared, y: shared };
+    source.self = source;
+    const result = deepMerge({ x: { other: 2 } }, source);
+
+    expect(result.self).toBe(result);
+    expect(result.x).toEqual({ other: 2, value: 1 });
+    expect(result.y).toBe(result.x);
+  });
+
+  test("should treat the last argument as options only when it has option keys", () => {
+    expect(deepMerge({}, { a: 1 }, { arrays: "concat" })).toEqual({ a: 1 });
+    expect(deepMerge({}, { a: 1 }, { arrays: "concat", b: 2 })).toEqual({
+      a: 1,
+      arrays: "concat",
+      b: 2,
+    });
+    expect(deepMerge({}, { arrays: "concat" })).toEqual({ arrays: "concat" });
+  });
+
+  test("should validate its arguments", () => {
+    expect(() => deepMerge({}, {}, { arrays: "zip" })).toThrow(TypeError);
+    expect(() => deepMerge(null, {})).toThrow(TypeError);
+    expect(() => deepMerge({}, [1])).toThrow(TypeError);
+    expect(deepMerge({ a: 1 }, null, undefined)).toEqual({ a: 1 });
+  });
+});
+
+describe("deepFreeze", () => {
+  test("should freeze nested objects and arrays", () => {
+    const value = deepFreeze({ a: { b: [1, { c: 2 }] } });
+
+    expect(Object.isFrozen(value)).toBe(true);
+    expect(Object.isFrozen(value.a.b)).toBe(true);
+    expect(Object.isFrozen(value.a.b[1])).toBe(true);
+  });
+
+  test("should freeze Maps, Sets and Dates", () => {
+    const key = {};
+    const value = deepFreeze({
+      m: new Map([[key, { x: 1 }]]),
+      s: new Set([{ y: 1 }]),
+      d: new Date(0),
+    });
+
+    expect(() => value.m.set("a", 1)).toThrow(TypeError);
+    expect(() => value.m.clear()).toThrow(TypeError);
+    expect(() => value.s.add(1)).toThrow(TypeError);
+    expect(() => value.d.setFullYear(2000)).toThrow(TypeError);
+    expect(value.m.get(key)).toEqual({ x: 1 });
+    expect(Object.isFrozen(key)).toBe(true);
+    expect(Object.isFrozen([...value.s][0])).toBe(true);
+    expect(value.d.getTime()).toBe(0);
+  });
+
+  test("should continue below objects that are already frozen", () => {
+    const value = deepFreeze(Object.freeze({ a: { b: 1 } }));
+    expect(Object.isFrozen(value.a)).toBe(true);
+  });
+
+  test("should freeze a value twice", () => {
+    const value = { m: new Map([["k", new Set([1])]]), when: new Date(0) };
+    deepFreeze(value);
+    expect(() => deepFreeze(value)).not.toThrow();
+    expect(() => value.m.set("k", 2)).toThrow(TypeError);
+    expect(() => value.m.get("k").add(2)).toThrow(TypeError);
+    expect(() => value.when.setFullYear(2000)).toThrow(TypeError);
+  });
+
+  test("should continue below Maps and Sets that are already frozen", () => {
+    const inner = {};
+    const map = Object.freeze(new Map([["k", inner]]));
+    expect(() => deepFreeze(map)).not.toThrow();
+    expect(Object.isFrozen(inner)).toBe(true);
+    expect(() => deepFreeze(Object.freeze(new Set([{}])))).not.toThrow();
+  });
+
+  test("should freeze the result of produce", () => {
+    const next = produce({ a: new Map([["k", { n: 1 }]]), b: 1 }, (draft) => {
+      draft.b = 2;
+    });
+    expect(() => deepFreeze(next)).not.toThrow();
+    expect(Object.isFrozen(next.a.get("k"))).toBe(true);
+  });
+
+  test("should handle circular references and binary data", () => {
+    const value = {
+      bytes: new Uint8Array([1, 2]),
+      error: new Error("x", { cause: { c: 1 } }),
+    };
+    value.self = value;
+    deepFreeze(value);
+
+    expect(Object.isFrozen(value)).toBe(true);
+    expect(Object.isFrozen(value.error.cause)).toBe(true);
+    value.bytes[0] = 9;
+    expect(value.bytes[0]).toBe(9);
+  });
+
+  test("should return primitives as-is", () => {
+    expect(deepFreeze(1)).toBe(1);
+    expect(deepFreeze(null)).toBe(null);
+  });
+});
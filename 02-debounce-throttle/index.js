@@ -1,23 +1,139 @@
+/**
+ * The clock and timers debounce() and throttle() use unless given a
+ * `scheduler` option. A scheduler has the same shape: `now()` returns the
+ * time in milliseconds, `setTimeout(callback, delay)` returns a handle that
+ * `clearTimeout(handle)` cancels.
+ *
+ * The globals are looked up on every call, so fake timers installed later
+ * (e.g. by jest) still apply.
+ */
+const defaultScheduler = {
+  now: () => Date.now(),
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  clearTimeout: (handle) => clearTimeout(handle),
+};
+
 /**
  * Debounce Implementation
  *
  * Creates a debounced function that delays invoking `fn` until after `delay`
  * milliseconds have elapsed since the last time the debounced function was called.
  *
+ * The debounced function returns the result of the last `fn` call. With
+ * `leading` and `trailing` both set, `fn` only runs on the trailing edge if
+ * the debounced function was called more than once during the delay.
+ *
  * @param {Function} fn - The function to debounce
  * @param {number} delay - The delay in milliseconds
- * @returns {Function} The debounced function with a cancel() method
+ * @param {Object} [options] - Optional configuration
+ * @param {boolean} [options.leading=false] - Invoke on the leading edge of the delay
+ * @param {boolean} [options.trailing=true] - Invoke on the trailing edge of the delay
+ * @param {number} [options.maxWait] - Longest time `fn` may be delayed, so a
+ *   steady stream of calls still invokes it at least this often
+ * @param {Object} [options.scheduler] - Clock and timers to use, see
+ *   defaultScheduler
+ * @returns {Function} The debounced function with cancel(), flush() and pending() methods
  */
-function debounce(fn, delay) {
+function debounce(fn, delay, options = {}) {
+  const {
+    leading = false,
+    trailing = true,
+    scheduler = defaultScheduler,
+  } = options;
+  const maxWait =
+    options.maxWait === undefined
+      ? undefined
+      : Math.max(options.maxWait, delay);
+
   let timerId;
+  let lastThis;
+  let lastArgs;
+  let lastCallTime;
+  let lastInvokeTime = 0;
+  let result;
+
+  function invoke(time) {
+    const thisArg = lastThis;
+    const args = lastArgs;
+    lastThis = lastArgs = undefined;
+    lastInvokeTime = time;
+    result = fn.apply(thisArg, args);
+    return result;
+  }
+
+  function shouldInvoke(time) {
+    if (lastCallTime === undefined) return true;
+
+    const sinceCall = time - lastCallTime;
+    return (
+      sinceCall >= delay ||
+      sinceCall < 0 || // The clock went backwards
+      (maxWait !== undefined && time - lastInvokeTime >= maxWait)
+    );
+  }
+
+  function remainingWait(time) {
+    const wait = delay - (time - lastCallTime);
+    if (maxWait === undefined) return wait;
+    return Math.min(wait, maxWait - (time - lastInvokeTime));
+  }
+
+  function timerExpired() {
+    const time = scheduler.now();
+    if (shouldInvoke(time)) return trailingEdge(time);
+    timerId = scheduler.setTimeout(timerExpired, remainingWait(time));
+  }
+
+  function leadingEdge(time) {
+    // Start the maxWait window from the first call of a burst
+    lastInvokeTime = time;
+    timerId = scheduler.setTimeout(timerExpired, delay);
+    return leading ? invoke(time) : result;
+  }
+
+  function trailingEdge(time) {
+    timerId = undefined;
+    if (trailing && lastArgs) return invoke(time);
+    lastThis = lastArgs = undefined;
+    return result;
+  }
 
   function wrapper(...args) {
-    clearTimeout(timerId);
-    timerId = setTimeout(() => fn.apply(this, args), delay);
+    const time = scheduler.now();
+    const isInvoking = shouldInvoke(time);
+
+    lastThis = this;
+    lastArgs = args;
+    lastCallTime = time;
+
+    if (isInvoking) {
+      if (timerId === undefined) return leadingEdge(time);
+      if (maxWait !== undefined) {
+        // maxWait ran out during a steady stream of calls
+        scheduler.clearTimeout(timerId);
+        timerId = scheduler.setTimeout(timerExpired, delay);
+        return invoke(time);
+      }
+    }
+    if (timerId === undefined)
+      timerId = scheduler.setTimeout(timerExpired, delay);
+    return result;
   }
 
   wrapper.cancel = function () {
-    clearTimeout(timerId);
+    scheduler.clearTimeout(timerId);
+    timerId = lastThis = lastArgs = lastCallTime = undefined;
+    lastInvokeTime = 0;
+  };
+
+  wrapper.flush = function () {
+    if (timerId === undefined) return result;
+    scheduler.clearTimeout(timerId);
+    return trailingEdge(scheduler.now());
+  };
+
+  wrapper.pending = function () {
+    return timerId !== undefined;
   };
 
   return wrapper;
@@ -29,39 +145,893 @@ function debounce(fn, delay) {
  * Creates a throttled function that only invokes `fn` at most once per
  * every `limit` milliseconds.
  *
+ * Calls made while throttled are not lost: the latest one is replayed on the
+ * trailing edge, which starts a new period. The throttled function returns
+ * the result of the most recent `fn` call.
+ *
  * @param {Function} fn - The function to throttle
  * @param {number} limit - The time limit in milliseconds
- * @returns {Function} The throttled function with a cancel() method
+ * @param {Object} [options] - Optional configuration
+ * @param {boolean} [options.leading=true] - Invoke on the first call of a period
+ * @param {boolean} [options.trailing=true] - Replay the latest throttled call
+ *   when the period ends
+ * @param {Object} [options.scheduler] - Clock and timers to use, see
+ *   defaultScheduler
+ * @returns {Function} The throttled function with cancel(), flush() and pending() methods
  */
-function throttle(fn, limit) {
-  let isThrottled = false;
+function throttle(fn, limit, options = {}) {
+  const {
+    leading = true,
+    trailing = true,
+    scheduler = defaultScheduler,
+  } = options;
   let lastThis = null;
   let lastArgs = null;
   let timerId;
+  let result;
+
+  function invoke() {
+    const thisArg = lastThis;
+    const args = lastArgs;
+    lastThis = lastArgs = null;
+    result = fn.apply(thisArg, args);
+    return result;
+  }
+
+  function timerExpired() {
+    if (trailing && lastArgs !== null) {
+      invoke();
+      timerId = scheduler.setTimeout(timerExpired, limit);
+    } else {
+      timerId = undefined;
+      lastThis = lastArgs = null;
+    }
+  }
 
   function wrapper(...args) {
     lastThis = this;
     lastArgs = args;
 
-    if (isThrottled) return;
+    if (timerId !== undefined) return result;
+
+    timerId = scheduler.setTimeout(timerExpired, limit);
+    return leading ? invoke() : result;
+  }
 
-    fn.apply(lastThis, lastArgs);
+  wrapper.cancel = function () {
+    scheduler.clearTimeout(timerId);
+    timerId = undefined;
     lastThis = lastArgs = null;
-    isThrottled = true;
+  };
+
+  wrapper.flush = function () {
+    if (timerId === undefined) return result;
+
+    scheduler.clearTimeout(timerId);
+    timerId = undefined;
+    if (trailing && lastArgs !== null) return invoke();
+    lastThis = lastArgs = null;
+    return result;
+  };
+
+  wrapper.pending = function () {
+    return timerId !== undefined;
+  };
 
-    timerId = setTimeout(() => {
-      isThrottled = false;
-      if (lastThis !== null) wrapper.apply(lastThis, lastArgs);
-    }, limit);
+  return wrapper;
+}
+
+/**
+ * Batching Debounce Implementation
+ *
+ * Collects the calls made during a debounce window and passes them to `fn`
+ * in one go, e.g. to turn single-row writes into one bulk insert. `fn` is
+ * called with an array holding the arguments of each call, and returns (or
+ * resolves to) an array of results in the same order. Each caller's promise
+ * settles with its own result; a result that is an Error rejects just that
+ * caller.
+ *
+ * @param {Function} fn - Called as `fn(batch)`, where `batch[i]` is the
+ *   arguments array of the i-th call
+ * @param {number} delay - The delay in milliseconds
+ * @param {Object} [options] - Optional configuration
+ * @param {number} [options.maxBatchSize=Infinity] - Call `fn` right away once
+ *   this many calls are collected
+ * @param {number} [options.maxWait] - Longest a call may wait, see debounce()
+ * @param {Object} [options.scheduler] - Clock and timers to use, see
+ *   defaultScheduler
+ * @returns {Function} The batching function with cancel(), flush() and pending() methods
+ */
+function batchDebounce(fn, delay, options = {}) {
+  const { maxBatchSize = Infinity, maxWait, scheduler } = options;
+  let batch = [];
+
+  const debounced = debounce(
+    function () {
+      runBatch(this);
+    },
+    delay,
+    { maxWait, scheduler },
+  );
+
+  function runBatch(thisArg) {
+    const calls = batch;
+    batch = [];
+    if (calls.length === 0) return;
+
+    let result;
+    try {
+      result = fn.call(
+        thisArg,
+        calls.map((call) => call.args),
+      );
+    } catch (error) {
+      result = Promise.reject(error);
+    }
+
+    Promise.resolve(result)
+      .then((results) => {
+        if (!Array.isArray(results) || results.length !== calls.length)
+          throw new TypeError(
+            `Expected an array of ${calls.length} results from the batch function`,
+          );
+
+        calls.forEach((call, index) => {
+          const value = results[index];
+          if (value instanceof Error) call.reject(value);
+          else call.resolve(value);
+        });
+      })
+      .catch((error) => calls.forEach((call) => call.reject(error)));
+  }
+
+  function wrapper(...args) {
+    return new Promise((resolve, reject) => {
+      batch.push({ args, resolve, reject });
+      if (batch.length >= maxBatchSize) {
+        debounced.cancel();
+        runBatch(this);
+      } else {
+        debounced.apply(this, args);
+      }
+    });
   }
 
   wrapper.cancel = function () {
-    clearTimeout(timerId);
-    lastThis = lastArgs = null;
-    isThrottled = false;
+    debounced.cancel();
+    const error = new AbortError("Cancelled");
+    batch.forEach((call) => call.reject(error));
+    batch = [];
+  };
+
+  wrapper.flush = function () {
+    debounced.cancel();
+    runBatch(undefined);
+  };
+
+  wrapper.pending = function () {
+    return batch.length > 0;
+  };
+
+  return wrapper;
+}
+
+/**
+ * Async Throttle Implementation
+ *
+ * Throttles a promise-returning `fn` so invocations never overlap: a new
+ * one only starts after the previous one has settled and at least `limit`
+ * ms after it started. What happens to calls made in between depends on
+ * `mode`:
+ * - "skip": they are dropped and get the promise of the current (or last)
+ *   invocation
+ * - "queue-latest": one more invocation runs afterwards with the latest
+ *   arguments; all those calls share its promise
+ * - "queue-all": every call runs in turn and gets its own promise
+ *
+ * @param {Function} fn - The async function to throttle
+ * @param {Object} [options] - Optional configuration
+ * @param {number} [options.limit=0] - Minimum time between invocation starts
+ * @param {string} [options.mode="skip"] - "skip", "queue-latest" or "queue-all"
+ * @param {Object} [options.scheduler] - Clock and timers to use, see
+ *   defaultScheduler
+ * @returns {Function} The throttled function with a cancel() method
+ */
+function throttleAsync(fn, options = {}) {
+  const { limit = 0, mode = "skip", scheduler = defaultScheduler } = options;
+  if (!["skip", "queue-latest", "queue-all"].includes(mode))
+    throw new TypeError(`Unknown mode "${mode}"`);
+
+  let running = false;
+  let lastStart = -Infinity;
+  let lastPromise;
+  let queue = [];
+  let timerId;
+
+  function createCall(thisArg, args) {
+    const call = { thisArg, args };
+    call.promise = new Promise((resolve, reject) => {
+      call.resolve = resolve;
+      call.reject = reject;
+    });
+    return call;
+  }
+
+  function start(call) {
+    running = true;
+    lastStart = scheduler.now();
+    lastPromise = call.promise;
+
+    let result;
+    try {
+      result = fn.apply(call.thisArg, call.args);
+    } catch (error) {
+      result = Promise.reject(error);
+    }
+    Promise.resolve(result)
+      .then(call.resolve, call.reject)
+      .then(() => {
+        running = false;
+        next();
+      });
+  }
+
+  function next() {
+    if (running || timerId !== undefined || queue.length === 0) return;
+
+    const wait = lastStart + limit - scheduler.now();
+    if (wait > 0) {
+      timerId = scheduler.setTimeout(() => {
+        timerId = undefined;
+        next();
+      }, wait);
+      return;
+    }
+    start(queue.shift());
+  }
+
+  function wrapper(...args) {
+    const idle =
+      !running && queue.length === 0 && scheduler.now() - lastStart >= limit;
+    if (idle) {
+      const call = createCall(this, args);
+      start(call);
+      return call.promise;
+    }
+
+    if (mode === "skip") return lastPromise;
+
+    if (mode === "queue-latest" && queue.length > 0) {
+      queue[0].thisArg = this;
+      queue[0].args = args;
+      return queue[0].promise;
+    }
+
+    const call = createCall(this, args);
+    queue.push(call);
+    next();
+    return call.promise;
+  }
+
+  wrapper.cancel = function () {
+    scheduler.clearTimeout(timerId);
+    timerId = undefined;
+    const error = new AbortError("Cancelled");
+    queue.forEach((call) => call.reject(error));
+    queue = [];
+  };
+
+  return wrapper;
+}
+
+/**
+ * Keyed Debounce Implementation
+ *
+ * Debounces calls separately per key, e.g. per document ID: calls for one
+ * key never delay or replace calls for another.
+ *
+ * @param {Function} fn - The function to debounce
+ * @param {number} delay - The delay in milliseconds
+ * @param {Function} keyFn - Called with the arguments (and `this`) of each
+ *   call, returns its key
+ * @param {Object} [options] - The debounce() options, plus:
+ * @param {number} [options.maxKeys=Infinity] - Most keys to track at once
+ * @returns {Function} The debounced function with cancel(key), flush(key),
+ *   pending(key) and keys() methods
+ */
+function debounceBy(fn, delay, keyFn, options = {}) {
+  return byKey(debounce, fn, delay, keyFn, options);
+}
+
+/**
+ * Keyed Throttle Implementation
+ *
+ * Throttles calls separately per key, e.g. per user.
+ *
+ * @param {Function} fn - The function to throttle
+ * @param {number} limit - The time limit in milliseconds
+ * @param {Function} keyFn - Called with the arguments (and `this`) of each
+ *   call, returns its key
+ * @param {Object} [options] - The throttle() options, plus:
+ * @param {number} [options.maxKeys=Infinity] - Most keys to track at once
+ * @returns {Function} The throttled function with cancel(key), flush(key),
+ *   pending(key) and keys() methods
+ */
+function throttleBy(fn, limit, keyFn, options = {}) {
+  return byKey(throttle, fn, limit, keyFn, options);
+}
+
+/**
+ * Helper: Keep one debounced or throttled wrapper per key
+ *
+ * A key is forgotten as soon as its wrapper has nothing pending, so only
+ * keys with activity in the last `wait` ms take memory. Past `maxKeys`,
+ * the least recently called key is flushed and forgotten.
+ *
+ * @param {Function} create - debounce or throttle
+ * @param {Function} fn - The function to wrap
+ * @param {number} wait - The delay or limit
+ * @param {Function} keyFn - Returns the key of a call
+ * @param {Object} options - Options for `create`, plus `maxKeys`
+ * @returns {Function} The keyed wrapper
+ */
+function byKey(create, fn, wait, keyFn, options) {
+  const { maxKeys = Infinity, scheduler = defaultScheduler, ...rest } = options;
+  const instances = new Map(); // In order of last use
+
+  function forget(key, instance) {
+    if (instances.get(key) === instance) instances.delete(key);
+  }
+
+  function instanceFor(key) {
+    let instance = instances.get(key);
+    if (instance) {
+      instances.delete(key);
+      instances.set(key, instance);
+      return instance;
+    }
+
+    // Forget the key once the timer that ends its last period has run
+    const keyScheduler = {
+      now: () => scheduler.now(),
+      setTimeout: (callback, delay) =>
+        scheduler.setTimeout(() => {
+          callback();
+          if (!instance.pending()) forget(key, instance);
+        }, delay),
+      clearTimeout: (handle) => scheduler.clearTimeout(handle),
+    };
+    instance = create(fn, wait, { ...rest, scheduler: keyScheduler });
+    instances.set(key, instance);
+
+    if (instances.size > maxKeys) {
+      const [oldestKey, oldest] = instances.entries().next().value;
+      instances.delete(oldestKey);
+      oldest.flush();
+    }
+    return instance;
+  }
+
+  function wrapper(...args) {
+    const key = keyFn.apply(this, args);
+    return instanceFor(key).apply(this, args);
+  }
+
+  wrapper.cancel = function (key) {
+    const keys = arguments.length ? [key] : [...instances.keys()];
+    for (const k of keys) {
+      const instance = instances.get(k);
+      if (!instance) continue;
+      instances.delete(k);
+      instance.cancel();
+    }
+  };
+
+  wrapper.flush = function (key) {
+    const instance = instances.get(key);
+    if (!instance) return undefined;
+    instances.delete(key);
+    return instance.flush();
+  };
+
+  wrapper.pending = function (key) {
+    const instance = instances.get(key);
+    return instance !== undefined && instance.pending();
+  };
+
+  wrapper.keys = function () {
+    return [...instances.keys()];
   };
 
   return wrapper;
 }
 
-module.exports = { debounce, throttle };
+/**
+ * Rate Limiter Implementation
+ *
+ * Lets work through at a set rate instead of dropping it like throttle():
+ * callers that are over the limit wait in a queue until there is capacity.
+ *
+ * Two algorithms are available:
+ * - "tokenBucket": `burst` permits can be used at once, and they refill
+ *   steadily at `limit` per `interval`
+ * - "slidingWindow": at most `limit` permits in any `interval` ms, tracked
+ *   with a log of when each was handed out
+ *
+ * @class RateLimiter
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options - Configuration
+   * @param {number} options.limit - Permits per interval
+   * @param {number} options.interval - The interval in milliseconds
+   * @param {string} [options.algorithm="tokenBucket"] - "tokenBucket" or "slidingWindow"
+   * @param {number} [options.burst=limit] - Bucket size for "tokenBucket"
+   * @param {number} [options.maxQueue=Infinity] - Most acquire() calls that may wait
+   * @param {Object} [options.scheduler] - Clock and timers to use, see
+   *   defaultScheduler
+   */
+  constructor(options) {
+    const {
+      limit,
+      interval,
+      algorithm = "tokenBucket",
+      burst = limit,
+      maxQueue = Infinity,
+      scheduler = defaultScheduler,
+    } = options;
+    if (!(limit > 0) || !(interval > 0) || !(burst > 0))
+      throw new RangeError("limit, interval and burst must be positive");
+    if (algorithm !== "tokenBucket" && algorithm !== "slidingWindow")
+      throw new TypeError(`Unknown algorithm "${algorithm}"`);
+
+    this.limit = limit;
+    this.interval = interval;
+    this.algorithm = algorithm;
+    this.capacity = algorithm === "tokenBucket" ? burst : limit;
+    this.maxQueue = maxQueue;
+    this.scheduler = scheduler;
+    this.queue = [];
+    this.timerId = undefined;
+
+    // Token bucket state
+    this.tokens = this.capacity;
+    this.lastRefill = scheduler.now();
+    // Sliding window state: when each permit in the window was handed out
+    this.log = [];
+  }
+
+  /**
+   * Take permits if they are available right now. Never jumps ahead of
+   * callers waiting in acquire().
+   *
+   * @param {number} [count=1] - Permits to take
+   * @returns {boolean} Whether the permits were taken
+   */
+  tryAcquire(count = 1) {
+    this.checkCount(count);
+    if (this.queue.length > 0 || this.available() < count) return false;
+    this.take(count);
+    return true;
+  }
+
+  /**
+   * Wait until permits are available, then take them. Waiting callers are
+   * served in order.
+   *
+   * @param {number} [count=1] - Permits to take
+   * @returns {Promise<void>} Resolves once the permits are taken; rejects
+   *   with a RangeError for a count that could never be granted
+   */
+  acquire(count = 1) {
+    try {
+      this.checkCount(count);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    if (this.tryAcquire(count)) return Promise.resolve();
+    if (this.queue.length >= this.maxQueue)
+      return Promise.reject(new RateLimitError("Rate limiter queue is full"));
+
+    return new Promise((resolve) => {
+      this.queue.push({ count, resolve });
+      this.drain();
+    });
+  }
+
+  /**
+   * Run `fn` once a permit is available
+   *
+   * @param {Function} fn - The function to run
+   * @param {...*} args - Arguments for `fn`
+   * @returns {Promise<*>} Resolves with the result of `fn`
+   */
+  async schedule(fn, ...args) {
+    await this.acquire();
+    return fn(...args);
+  }
+
+  /**
+   * @returns {number} Permits that can be taken right now
+   */
+  get remaining() {
+    return Math.floor(this.available());
+  }
+
+  /**
+   * @returns {number} When (on the scheduler's clock) the limiter is back to
+   *   full capacity if nothing else is taken
+   */
+  get resetAt() {
+    const now = this.scheduler.now();
+    if (this.algorithm === "tokenBucket") {
+      this.refill(now);
+      return now + ((this.capacity - this.tokens) * this.interval) / this.limit;
+    }
+    this.prune(now);
+    return this.log.length
+      ? this.log[this.log.length - 1] + this.interval
+      : now;
+  }
+
+  /**
+   * @returns {number} The number of acquire() calls waiting
+   */
+  get queued() {
+    return this.queue.length;
+  }
+
+  /**
+   * Helper: Reject permit counts that could never be granted
+   *
+   * @param {number} count - Permits asked for
+   */
+  checkCount(count) {
+    if (!(count > 0) || count > this.capacity)
+      throw new RangeError(
+        `Can't acquire ${count} permits at once (capacity ${this.capacity})`,
+      );
+  }
+
+  /**
+   * Helper: Permits available now, possibly fractional for a token bucket
+   *
+   * @returns {number}
+   */
+  available() {
+    const now = this.scheduler.now();
+    if (this.algorithm === "tokenBucket") {
+      this.refill(now);
+      return this.tokens;
+    }
+    this.prune(now);
+    return this.limit - this.log.length;
+  }
+
+  /**
+   * Helper: Take permits that are known to be available
+   *
+   * @param {number} count - Permits to take
+   */
+  take(count) {
+    if (this.algorithm === "tokenBucket") {
+      this.tokens -= count;
+      return;
+    }
+    const now = this.scheduler.now();
+    for (let i = 0; i < count; i++) this.log.push(now);
+  }
+
+  /**
+   * Helper: Milliseconds until `count` permits are available
+   *
+   * @param {number} count - Permits needed
+   * @returns {number}
+   */
+  waitTime(count) {
+    const now = this.scheduler.now();
+    if (this.algorithm === "tokenBucket") {
+      this.refill(now);
+      return Math.ceil(((count - this.tokens) * this.interval) / this.limit);
+    }
+    this.prune(now);
+    const expiring = this.log[this.log.length + count - this.limit - 1];
+    return expiring + this.interval - now;
+  }
+
+  /**
+   * Helper: Add the tokens earned since the last refill
+   *
+   * @param {number} now - The current time
+   */
+  refill(now) {
+    const earned = ((now - this.lastRefill) * this.limit) / this.interval;
+    this.tokens = Math.min(this.capacity, this.tokens + earned);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Helper: Drop log entries that have left the window
+   *
+   * @param {number} now - The current time
+   */
+  prune(now) {
+    let expired = 0;
+    while (
+      expired < this.log.length &&
+      this.log[expired] <= now - this.interval
+    )
+      expired++;
+    if (expired > 0) this.log.splice(0, expired);
+  }
+
+  /**
+   * Helper: Serve waiting callers that fit, then wait for the next one
+   */
+  drain() {
+    while (this.queue.length > 0 && this.available() >= this.queue[0].count) {
+      const { count, resolve } = this.queue.shift();
+      this.take(count);
+      resolve();
+    }
+
+    if (this.queue.length === 0 || this.timerId !== undefined) return;
+    this.timerId = this.scheduler.setTimeout(
+      () => {
+        this.timerId = undefined;
+        this.drain();
+      },
+      Math.max(1, this.waitTime(this.queue[0].count)),
+    );
+  }
+}
+
+/**
+ * Error an acquire() promise is rejected with when the queue is full
+ * @class RateLimitError
+ * @extends Error
+ */
+class RateLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RateLimitError";
+  }
+}
+
+/**
+ * Async Debounce Implementation
+ *
+ * Debounces a promise-returning `fn` with the timing of debounce(). All calls
+ * made within one debounce window get the same promise, settled with the
+ * result of the single `fn` call that window ends in.
+ *
+ * `fn` receives an AbortSignal after its arguments. A newer call aborts the
+ * signal of an invocation that is still running and rejects its promise, so
+ * stale results never arrive.
+ *
+ * @param {Function} fn - The async function to debounce
+ * @param {number} delay - The delay in milliseconds
+ * @param {Object} [options] - Optional configuration
+ * @param {Object} [options.scheduler] - Clock and timers to use, see
+ *   defaultScheduler
+ * @returns {Function} The debounced function with a cancel() method
+ */
+function debounceAsync(fn, delay, options = {}) {
+  let waiting = null; // Callers of the current window
+  let running = null; // The invocation still in flight
+
+  const debounced = debounce(
+    function (...args) {
+      const { resolve, reject } = waiting;
+      const controller = new AbortController();
+      const invocation = { controller, reject };
+      waiting = null;
+      running = invocation;
+
+      let result;
+      try {
+        result = fn.apply(this, [...args, controller.signal]);
+      } catch (error) {
+        result = Promise.reject(error);
+      }
+      Promise.resolve(result)
+        .then(resolve, reject)
+        .finally(() => {
+          if (running === invocation) running = null;
+        });
+    },
+    delay,
+    { scheduler: options.scheduler },
+  );
+
+  function abortRunning(message) {
+    if (!running) return;
+    const error = new AbortError(message);
+    running.controller.abort(error);
+    running.reject(error);
+    running = null;
+  }
+
+  function wrapper(...args) {
+    abortRunning("Superseded by a newer call");
+    if (!waiting) {
+      waiting = {};
+      waiting.promise = new Promise((resolve, reject) => {
+        waiting.resolve = resolve;
+        waiting.reject = reject;
+      });
+    }
+
+    const { promise } = waiting;
+    debounced.apply(this, args);
+    return promise;
+  }
+
+  wrapper.cancel = function () {
+    debounced.cancel();
+    abortRunning("Cancelled");
+    if (waiting) waiting.reject(new AbortError("Cancelled"));
+    waiting = null;
+  };
+
+  return wrapper;
+}
+
+/**
+ * Error a debounceAsync() promise is rejected with when its call is cancelled
+ * or superseded
+ * @class AbortError
+ * @extends Error
+ */
+class AbortError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AbortError";
+  }
+}
+
+/**
+ * Virtual Clock Implementation
+ *
+ * A scheduler whose time only moves when told to, for deterministic tests.
+ * Timers run in order of their due time (then of creation), each seeing
+ * `now()` at the time it was due.
+ *
+ * @class VirtualClock
+ */
+class VirtualClock {
+  /**
+   * @param {number} [start=0] - The initial time in milliseconds
+   */
+  constructor(start = 0) {
+    this.time = start;
+    this.timers = new Map();
+    this.nextId = 1;
+    this.now = this.now.bind(this);
+    this.setTimeout = this.setTimeout.bind(this);
+    this.clearTimeout = this.clearTimeout.bind(this);
+  }
+
+  now() {
+    return this.time;
+  }
+
+  setTimeout(callback, delay = 0) {
+    const id = this.nextId++;
+    this.timers.set(id, { callback, due: this.time + Math.max(0, delay) });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  /**
+   * Move time forward, running the timers that come due on the way,
+   * including ones they schedule
+   *
+   * @param {number} ms - Milliseconds to advance
+   */
+  advance(ms) {
+    const end = this.time + ms;
+    let next;
+    while ((next = this.nextTimer()) && next.due <= end) {
+      this.time = next.due;
+      this.timers.delete(next.id);
+      next.callback();
+    }
+    this.time = end;
+  }
+
+  /**
+   * Run timers until none are left, moving time to each one
+   *
+   * @param {number} [limit=1000] - Most timers to run, to stop timers that keep
+   *   rescheduling themselves
+   * @throws {Error} If timers are still pending after `limit` runs
+   */
+  runAll(limit = 1000) {
+    for (let count = 0; count < limit; count++) {
+      const next = this.nextTimer();
+      if (!next) return;
+      this.advance(next.due - this.time);
+    }
+    if (this.timers.size > 0)
+      throw new Error(`Timers still pending after running ${limit}`);
+  }
+
+  /**
+   * @returns {number} The number of timers waiting to run
+   */
+  get pending() {
+    return this.timers.size;
+  }
+
+  /**
+   * Helper: Find the timer that runs next
+   *
+   * @returns {Object|undefined} `{ id, callback, due }`
+   */
+  nextTimer() {
+    let next;
+    for (const [id, timer] of this.timers) {
+      if (!next || timer.due < next.due) next = { id, ...timer };
+    }
+    return next;
+  }
+}
+
+/**
+ * Frame Scheduler Implementation
+ *
+ * Creates a scheduler that runs timers on animation frames: a callback runs
+ * on the first frame at least `delay` ms after it was scheduled, so UI
+ * updates line up with rendering.
+ *
+ * @param {Object} [options] - Optional configuration, for environments
+ *   without the browser globals
+ * @param {Function} [options.requestFrame] - Defaults to requestAnimationFrame
+ * @param {Function} [options.cancelFrame] - Defaults to cancelAnimationFrame
+ * @param {Function} [options.now] - Defaults to performance.now
+ * @returns {Object} A scheduler for the `scheduler` option
+ */
+function createFrameScheduler(options = {}) {
+  const {
+    requestFrame = (callback) => requestAnimationFrame(callback),
+    cancelFrame = (id) => cancelAnimationFrame(id),
+    now = () => performance.now(),
+  } = options;
+
+  return {
+    now,
+    setTimeout(callback, delay = 0) {
+      const due = now() + delay;
+      const handle = {};
+      const tick = () => {
+        if (now() >= due) callback();
+        else handle.frame = requestFrame(tick);
+      };
+      handle.frame = requestFrame(tick);
+      return handle;
+    },
+    clearTimeout(handle) {
+      if (handle) cancelFrame(handle.frame);
+    },
+  };
+}
+
+module.exports = {
+  debounce,
+  throttle,
+  debounceAsync,
+  batchDebounce,
+  throttleAsync,
+  debounceBy,
+  throttleBy,
+  RateLimiter,
+  defaultScheduler,
+  VirtualClock,
+  createFrameScheduler,
+  AbortError,
+  RateLimitError,
+};
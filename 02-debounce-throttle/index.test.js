@@ -1,4 +1,17 @@
-const { debounce, throttle } = require("./index");
+const {
+  debounce,
+  throttle,
+  debounceAsync,
+  batchDebounce,
+  throttleAsync,
+  debounceBy,
+  throttleBy,
+  RateLimiter,
+  VirtualClock,
+  createFrameScheduler,
+  AbortError,
+  RateLimitError,
+} = require("./index");
 
 // Helper to advance timers
 jest.useFakeTimers();
@@ -104,6 +117,126 @@ describe("debounce", () => {
 
     expect(fn).toHaveBeenCalledTimes(1);
   });
+
+  test("should return the result of the last invocation", () => {
+    const debounced = debounce((x) => x * 2, 100);
+
+    expect(debounced(1)).toBeUndefined();
+    jest.advanceTimersByTime(100);
+    expect(debounced(2)).toBe(2);
+  });
+
+  describe("leading and trailing options", () => {
+    test("should invoke on the leading edge", () => {
+      const fn = jest.fn((x) => x);
+      const debounced = debounce(fn, 100, { leading: true, trailing: false });
+
+      expect(debounced("a")).toBe("a");
+      debounced("b");
+      jest.advanceTimersByTime(100);
+      expect(fn).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(100);
+      debounced("c");
+      expect(fn).toHaveBeenLastCalledWith("c");
+    });
+
+    test("should only invoke on the trailing edge after repeated calls", () => {
+      const fn = jest.fn();
+      const debounced = debounce(fn, 100, { leading: true });
+
+      debounced("a");
+      jest.advanceTimersByTime(100);
+      expect(fn.mock.calls).toEqual([["a"]]);
+
+      jest.advanceTimersByTime(100);
+      debounced("b");
+      debounced("c");
+      jest.advanceTimersByTime(100);
+      expect(fn.mock.calls).toEqual([["a"], ["b"], ["c"]]);
+    });
+
+    test("should not invoke at all with both edges disabled", () => {
+      const fn = jest.fn();
+      const debounced = debounce(fn, 100, { trailing: false });
+
+      debounced();
+      jest.advanceTimersByTime(100);
+      expect(fn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("maxWait option", () => {
+    test("should invoke at least every maxWait during continuous calls", () => {
+      const fn = jest.fn();
+      const debounced = debounce(fn, 100, { maxWait: 250 });
+
+      for (let t = 0; t < 600; t += 50) {
+        debounced(t);
+        jest.advanceTimersByTime(50);
+      }
+      // The latest arguments when maxWait runs out at t=250 and t=500
+      expect(fn.mock.calls).toEqual([[200], [450]]);
+
+      jest.advanceTimersByTime(100);
+      expect(fn).toHaveBeenCalledTimes(3);
+      expect(fn).toHaveBeenLastCalledWith(550);
+    });
+
+    test("should behave like a normal debounce when calls pause", () => {
+      const fn = jest.fn();
+      const debounced = debounce(fn, 100, { maxWait: 300 });
+
+      debounced();
+      jest.advanceTimersByTime(100);
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test("should never wait less than the delay", () => {
+      const fn = jest.fn();
+      const debounced = debounce(fn, 100, { maxWait: 10 });
+
+      debounced();
+      jest.advanceTimersByTime(50);
+      debounced();
+      jest.advanceTimersByTime(50);
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("flush and pending", () => {
+    test("should run the pending invocation and return its result", () => {
+      const fn = jest.fn((x) => x + 1);
+      const debounced = debounce(fn, 100);
+
+      debounced(1);
+      expect(debounced.pending()).toBe(true);
+      expect(debounced.flush()).toBe(2);
+      expect(debounced.pending()).toBe(false);
+
+      jest.advanceTimersByTime(100);
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test("should return the last result when nothing is pending", () => {
+      const fn = jest.fn((x) => x);
+      const debounced = debounce(fn, 100);
+
+      expect(debounced.flush()).toBeUndefined();
+      debounced("a");
+      jest.advanceTimersByTime(100);
+      expect(debounced.flush()).toBe("a");
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test("should report nothing pending after cancel", () => {
+      const debounced = debounce(jest.fn(), 100);
+
+      debounced();
+      debounced.cancel();
+      expect(debounced.pending()).toBe(false);
+    });
+  });
 });
 
 describe("throttle", () => {
@@ -204,4 +337,975 @@ describe("throttle", () => {
 
     expect(fn).toHaveBeenCalledTimes(2);
   });
+
+  test("should return the result of the most recent invocation", () => {
+    const throttled = throttle((x) => x * 2, 100);
+
+    expect(throttled(1)).toBe(2);
+    expect(throttled(2)).toBe(2);
+    jest.advanceTimersByTime(100);
+    expect(throttled(3)).toBe(4);
+  });
+
+  test("should replay the latest throttled call on the trailing edge", () => {
+    const fn = jest.fn();
+    const throttled = throttle(fn, 100);
+
+    throttled("a");
+    throttled("b");
+    throttled("c");
+    jest.advanceTimersByTime(100);
+
+    expect(fn.mock.calls).toEqual([["a"], ["c"]]);
+  });
+
+  describe("leading and trailing options", () => {
+    test("should wait for the trailing edge with leading: false", () => {
+      const fn = jest.fn();
+      const throttled = throttle(fn, 100, { leading: false });
+
+      throttled("a");
+      throttled("b");
+      expect(fn).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(100);
+      expect(fn.mock.calls).toEqual([["b"]]);
+    });
+
+    test("should keep a steady rate with leading: false", () => {
+      const fn = jest.fn();
+      const throttled = throttle(fn, 100, { leading: false });
+
+      for (let t = 0; t < 300; t += 25) {
+        throttled(t);
+        jest.advanceTimersByTime(25);
+      }
+      expect(fn.mock.calls).toEqual([[75], [175], [275]]);
+    });
+
+    test("should drop throttled calls with trailing: false", () => {
+      const fn = jest.fn();
+      const throttled = throttle(fn, 100, { trailing: false });
+
+      throttled("a");
+      throttled("b");
+      jest.advanceTimersByTime(100);
+      expect(fn.mock.calls).toEqual([["a"]]);
+
+      throttled("c");
+      expect(fn.mock.calls).toEqual([["a"], ["c"]]);
+    });
+  });
+
+  describe("flush", () => {
+    test("should run the queued trailing call right away", () => {
+      const fn = jest.fn((x) => x);
+      const throttled = throttle(fn, 100);
+
+      throttled("a");
+      throttled("b");
+      expect(throttled.flush()).toBe("b");
+      expect(fn.mock.calls).toEqual([["a"], ["b"]]);
+
+      jest.advanceTimersByTime(100);
+      expect(fn).toHaveBeenCalledTimes(2);
+
+      throttled("c");
+      expect(fn).toHaveBeenLastCalledWith("c");
+    });
+
+    test("should return the last result when nothing is queued", () => {
+      const fn = jest.fn((x) => x);
+      const throttled = throttle(fn, 100);
+
+      expect(throttled.flush()).toBeUndefined();
+      throttled("a");
+      expect(throttled.flush()).toBe("a");
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test("should not run dropped calls with trailing: false", () => {
+      const fn = jest.fn((x) => x);
+      const throttled = throttle(fn, 100, { trailing: false });
+
+      throttled("a");
+      throttled("b");
+      expect(throttled.flush()).toBe("a");
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+  });
+});
+
+describe("debounceAsync", () => {
+  beforeEach(() => {
+    jest.clearAllTimers();
+  });
+
+  test("should give every call in a window the same promise", async () => {
+    const fn = jest.fn(async (query) => `results for ${query}`);
+    const search = debounceAsync(fn, 100);
+
+    const first = search("h");
+    const second = search("he");
+    expect(second).toBe(first);
+
+    jest.advanceTimersByTime(100);
+    await expect(first).resolves.toBe("results for he");
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test("should start a new promise for the next window", async () => {
+    const search = debounceAsync(async (query) => query, 100);
+
+    const first = search("a");
+    jest.advanceTimersByTime(100);
+    await first;
+
+    const second = search("b");
+    expect(second).not.toBe(first);
+    jest.advanceTimersByTime(100);
+    await expect(second).resolves.toBe("b");
+  });
+
+  test("should pass an AbortSignal and preserve this", async () => {
+    const fn = jest.fn(function (query, signal) {
+      return Promise.resolve([this.name, query, signal instanceof AbortSignal]);
+    });
+    const obj = { name: "obj", search: debounceAsync(fn, 100) };
+
+    const promise = obj.search("q");
+    jest.advanceTimersByTime(100);
+    await expect(promise).resolves.toEqual(["obj", "q", true]);
+  });
+
+  test("should reject with the function's error", async () => {
+    const failing = debounceAsync(() => {
+      throw new Error("boom");
+    }, 100);
+
+    const promise = failing();
+    jest.advanceTimersByTime(100);
+    await expect(promise).rejects.toThrow("boom");
+  });
+
+  test("should abort an in-flight call superseded by a newer one", async () => {
+    const signals = [];
+    const fn = jest.fn(
+      (query, signal) =>
+        new Promise((resolve) => {
+          signals.push(signal);
+          setTimeout(() => resolve(query), 500);
+        }),
+    );
+    const search = debounceAsync(fn, 100);
+
+    const first = search("a");
+    jest.advanceTimersByTime(100);
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    const second = search("ab");
+    expect(signals[0].aborted).toBe(true);
+    expect(signals[0].reason).toBeInstanceOf(AbortError);
+    await expect(first).rejects.toBeInstanceOf(AbortError);
+
+    jest.advanceTimersByTime(600);
+    await expect(second).resolves.toBe("ab");
+  });
+
+  test("should reject pending promises on cancel", async () => {
+    const fn = jest.fn(async () => "done");
+    const search = debounceAsync(fn, 100);
+
+    const promise = search("a");
+    search.cancel();
+    jest.advanceTimersByTime(100);
+
+    await expect(promise).rejects.toMatchObject({ name: "AbortError" });
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  test("should abort the in-flight call on cancel", async () => {
+    let signal;
+    const search = debounceAsync((query, s) => {
+      signal = s;
+      return new Promise(() => {});
+    }, 100);
+
+    const promise = search("a");
+    jest.advanceTimersByTime(100);
+    search.cancel();
+
+    expect(signal.aborted).toBe(true);
+    await expect(promise).rejects.toBeInstanceOf(AbortError);
+  });
+});
+
+describe("batchDebounce", () => {
+  beforeEach(() => {
+    jest.clearAllTimers();
+  });
+
+  test("should call fn once with every call's arguments", async () => {
+    const fn = jest.fn(async (batch) => batch.map(([a, b]) => a + b));
+    const add = batchDebounce(fn, 100);
+
+    const results = [add(1, 2), add(3, 4), add(5, 6)];
+    expect(fn).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(100);
+    await expect(Promise.all(results)).resolves.toEqual([3, 7, 11]);
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(fn).toHaveBeenCalledWith([
+      [1, 2],
+      [3, 4],
+      [5, 6],
+    ]);
+  });
+
+  test("should start a new batch after each call of fn", async () => {
+    const fn = jest.fn((batch) => batch.map(([x]) => x));
+    const load = batchDebounce(fn, 100);
+
+    const first = load("a");
+    jest.advanceTimersByTime(100);
+    const second = load("b");
+    jest.advanceTimersByTime(100);
+
+    await expect(first).resolves.toBe("a");
+    await expect(second).resolves.toBe("b");
+    expect(fn.mock.calls).toEqual([[[["a"]]], [[["b"]]]]);
+  });
+
+  test("should run a full batch right away with maxBatchSize", async () => {
+    const fn = jest.fn((batch) => batch.map(([x]) => x * 10));
+    const load = batchDebounce(fn, 100, { maxBatchSize: 2 });
+
+    const results = [load(1), load(2), load(3)];
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(fn).toHaveBeenLastCalledWith([[1], [2]]);
+
+    jest.advanceTimersByTime(100);
+    expect(fn).toHaveBeenLastCalledWith([[3]]);
+    await expect(Promise.all(results)).resolves.toEqual([10, 20, 30]);
+  });
+
+  test("should not hold calls longer than maxWait", () => {
+    const fn = jest.fn((batch) => batch);
+    const load = batchDebounce(fn, 100, { maxWait: 200 });
+
+    for (let i = 0; i < 5; i++) {
+      load(i);
+      jest.advanceTimersByTime(50);
+    }
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(fn.mock.calls[0][0]).toEqual([[0], [1], [2], [3]]);
+  });
+
+  test("should reject only the callers whose result is an Error", async () => {
+    const load = batchDebounce(
+      (batch) => batch.map(([id]) => (id < 0 ? new Error(`bad id ${id}`) : id)),
+      100,
+    );
+
+    const good = load(1);
+    const bad = load(-1);
+    jest.advanceTimersByTime(100);
+
+    await expect(good).resolves.toBe(1);
+    await expect(bad).rejects.toThrow("bad id -1");
+  });
+
+  test("should reject every caller when fn fails", async () => {
+    const load = batchDebounce(async () => {
+      throw new Error("db down");
+    }, 100);
+
+    const results = [load(1), load(2)];
+    jest.advanceTimersByTime(100);
+
+    for (const result of results) {
+      await expect(result).rejects.toThrow("db down");
+    }
+  });
+
+  test("should reject every caller when fn returns the wrong number of results", async () => {
+    const load = batchDebounce(() => [1], 100);
+
+    const results = [load(1), load(2)];
+    jest.advanceTimersByTime(100);
+
+    await expect(results[0]).rejects.toThrow(TypeError);
+    await expect(results[1]).rejects.toThrow("Expected an array of 2 results");
+  });
+
+  test("should flush and cancel the pending batch", async () => {
+    const fn = jest.fn((batch) => batch.map(([x]) => x));
+    const load = batchDebounce(fn, 100);
+
+    const flushed = load("a");
+    expect(load.pending()).toBe(true);
+    load.flush();
+    expect(load.pending()).toBe(false);
+    await expect(flushed).resolves.toBe("a");
+
+    const cancelled = load("b");
+    load.cancel();
+    jest.advanceTimersByTime(100);
+    await expect(cancelled).rejects.toBeInstanceOf(AbortError);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("throttleAsync", () => {
+  const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+  // An async function whose invocations finish when the test says so
+  function controllable() {
+    const runs = [];
+    const fn = jest.fn(
+      (value) =>
+        new Promise((resolve, reject) => {
+          runs.push({ value, resolve: () => resolve(value), reject });
+        }),
+    );
+    return { fn, runs };
+  }
+
+  beforeEach(() => {
+    jest.useRealTimers();
+  });
+
+  afterEach(() => {
+    jest.useFakeTimers();
+  });
+
+  test("should drop calls while running in skip mode", async () => {
+    const { fn, runs } = controllable();
+    const sync = throttleAsync(fn);
+
+    const first = sync("a");
+    const second = sync("b");
+    expect(second).toBe(first);
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    runs[0].resolve();
+    await expect(first).resolves.toBe("a");
+    await settle();
+
+    expect(sync("c")).not.toBe(first);
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  test("should run once more with the latest arguments in queue-latest mode", async () => {
+    const { fn, runs } = controllable();
+    const sync = throttleAsync(fn, { mode: "queue-latest" });
+
+    const first = sync("a");
+    const second = sync("b");
+    const third = sync("c");
+    expect(third).toBe(second);
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    runs[0].resolve();
+    await settle();
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(fn).toHaveBeenLastCalledWith("c");
+
+    runs[1].resolve();
+    await expect(first).resolves.toBe("a");
+    await expect(second).resolves.toBe("c");
+  });
+
+  test("should run every call in turn in queue-all mode", async () => {
+    const { fn, runs } = controllable();
+    const sync = throttleAsync(fn, { mode: "queue-all" });
+
+    const results = [sync(1), sync(2), sync(3)];
+    for (let i = 0; i < 3; i++) {
+      expect(fn).toHaveBeenCalledTimes(i + 1);
+      runs[i].resolve();
+      await settle();
+    }
+    await expect(Promise.all(results)).resolves.toEqual([1, 2, 3]);
+  });
+
+  test("should never run invocations concurrently", async () => {
+    let active = 0;
+    let maxActive = 0;
+    const sync = throttleAsync(
+      async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await settle();
+        active--;
+      },
+      { mode: "queue-all" },
+    );
+
+    await Promise.all([sync(), sync(), sync(), sync()]);
+    expect(maxActive).toBe(1);
+  });
+
+  test("should space invocation starts by limit", async () => {
+    const clock = new VirtualClock();
+    const fn = jest.fn(async (value) => value);
+    const sync = throttleAsync(fn, {
+      limit: 100,
+      mode: "queue-all",
+      scheduler: clock,
+    });
+
+    const results = [sync(1), sync(2)];
+    await settle();
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    clock.advance(99);
+    await settle();
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    clock.advance(1);
+    await settle();
+    await expect(Promise.all(results)).resolves.toEqual([1, 2]);
+  });
+
+  test("should return the last result within limit in skip mode", async () => {
+    const clock = new VirtualClock();
+    const fn = jest.fn(async (value) => value);
+    const sync = throttleAsync(fn, { limit: 100, scheduler: clock });
+
+    await expect(sync("a")).resolves.toBe("a");
+    await expect(sync("b")).resolves.toBe("a");
+
+    clock.advance(100);
+    await expect(sync("c")).resolves.toBe("c");
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  test("should keep going after a failed invocation", async () => {
+    const fn = jest.fn(async (value) => {
+      if (value === "bad") throw new Error("failed");
+      return value;
+    });
+    const sync = throttleAsync(fn, { mode: "queue-all" });
+
+    const bad = sync("bad");
+    const good = sync("good");
+    await expect(bad).rejects.toThrow("failed");
+    await expect(good).resolves.toBe("good");
+  });
+
+  test("should reject queued calls on cancel", async () => {
+    const { fn, runs } = controllable();
+    const sync = throttleAsync(fn, { mode: "queue-all" });
+
+    const running = sync(1);
+    const queued = sync(2);
+    sync.cancel();
+    await expect(queued).rejects.toBeInstanceOf(AbortError);
+
+    runs[0].resolve();
+    await expect(running).resolves.toBe(1);
+    await settle();
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test("should reject unknown modes", () => {
+    expect(() => throttleAsync(jest.fn(), { mode: "drop" })).toThrow(TypeError);
+  });
+});
+
+describe("debounceBy", () => {
+  beforeEach(() => {
+    jest.clearAllTimers();
+  });
+
+  test("should time each key independently", () => {
+    const fn = jest.fn();
+    const save = debounceBy(fn, 100, (doc) => doc.id);
+
+    save({ id: "a", v: 1 });
+    jest.advanceTimersByTime(50);
+    save({ id: "b", v: 1 });
+    save({ id: "a", v: 2 });
+    jest.advanceTimersByTime(100);
+
+    expect(fn.mock.calls).toEqual([[{ id: "b", v: 1 }], [{ id: "a", v: 2 }]]);
+  });
+
+  test("should forget keys once they are idle", () => {
+    const save = debounceBy(jest.fn(), 100, (id) => id);
+
+    save("a");
+    save("b");
+    expect(save.keys()).toEqual(["a", "b"]);
+    expect(save.pending("a")).toBe(true);
+
+    jest.advanceTimersByTime(100);
+    expect(save.keys()).toEqual([]);
+    expect(save.pending("a")).toBe(false);
+  });
+
+  test("should keep keys while maxWait keeps them busy", () => {
+    const fn = jest.fn();
+    const save = debounceBy(fn, 100, (id) => id, { maxWait: 150 });
+
+    for (let i = 0; i < 5; i++) {
+      save("a", i);
+      jest.advanceTimersByTime(50);
+    }
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(save.keys()).toEqual(["a"]);
+  });
+
+  test("should flush the least recently used key past maxKeys", () => {
+    const fn = jest.fn();
+    const save = debounceBy(fn, 100, (id) => id, { maxKeys: 2 });
+
+    save("a", 1);
+    save("b", 1);
+    save("a", 2);
+    save("c", 1);
+
+    expect(fn.mock.calls).toEqual([["b", 1]]);
+    expect(save.keys()).toEqual(["a", "c"]);
+
+    jest.advanceTimersByTime(100);
+    expect(fn.mock.calls).toEqual([
+      ["b", 1],
+      ["a", 2],
+      ["c", 1],
+    ]);
+  });
+
+  test("should cancel and flush single keys", () => {
+    const fn = jest.fn((id, value) => value);
+    const save = debounceBy(fn, 100, (id) => id);
+
+    save("a", 1);
+    save("b", 2);
+    save("c", 3);
+    save.cancel("a");
+    expect(save.flush("b")).toBe(2);
+    expect(save.flush("missing")).toBeUndefined();
+    expect(save.keys()).toEqual(["c"]);
+
+    jest.advanceTimersByTime(100);
+    expect(fn.mock.calls).toEqual([
+      ["b", 2],
+      ["c", 3],
+    ]);
+  });
+
+  test("should cancel every key without an argument", () => {
+    const fn = jest.fn();
+    const save = debounceBy(fn, 100, (id) => id);
+
+    save("a");
+    save("b");
+    save.cancel();
+    jest.advanceTimersByTime(100);
+
+    expect(fn).not.toHaveBeenCalled();
+    expect(save.keys()).toEqual([]);
+  });
+
+  test("should pass this to keyFn and fn", () => {
+    const fn = jest.fn(function () {
+      return this.id;
+    });
+    const save = debounceBy(fn, 100, function () {
+      return this.id;
+    });
+    const doc = { id: "doc", save };
+
+    doc.save();
+    jest.advanceTimersByTime(100);
+    expect(fn.mock.instances[0]).toBe(doc);
+  });
+});
+
+describe("throttleBy", () => {
+  beforeEach(() => {
+    jest.clearAllTimers();
+  });
+
+  test("should throttle each key independently", () => {
+    const fn = jest.fn();
+    const track = throttleBy(fn, 100, (user) => user);
+
+    track("ann", 1);
+    track("bob", 1);
+    track("ann", 2);
+    expect(fn.mock.calls).toEqual([
+      ["ann", 1],
+      ["bob", 1],
+    ]);
+
+    jest.advanceTimersByTime(100);
+    expect(fn.mock.calls).toEqual([
+      ["ann", 1],
+      ["bob", 1],
+      ["ann", 2],
+    ]);
+  });
+
+  test("should forget keys after their last period", () => {
+    const track = throttleBy(jest.fn(), 100, (user) => user);
+
+    track("ann");
+    track("ann");
+    jest.advanceTimersByTime(100);
+    expect(track.keys()).toEqual(["ann"]);
+
+    jest.advanceTimersByTime(100);
+    expect(track.keys()).toEqual([]);
+  });
+
+  test("should pass options through and bound the keys", () => {
+    const clock = new VirtualClock();
+    const fn = jest.fn();
+    const track = throttleBy(fn, 100, (user) => user, {
+      trailing: false,
+      maxKeys: 1,
+      scheduler: clock,
+    });
+
+    track("ann", 1);
+    track("ann", 2);
+    track("bob", 1);
+    expect(track.keys()).toEqual(["bob"]);
+    expect(fn.mock.calls).toEqual([
+      ["ann", 1],
+      ["bob", 1],
+    ]);
+
+    clock.runAll();
+    expect(track.keys()).toEqual([]);
+  });
+});
+
+describe("RateLimiter", () => {
+  // Lets promise callbacks run between clock steps
+  const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+  beforeEach(() => {
+    jest.useRealTimers();
+  });
+
+  afterEach(() => {
+    jest.useFakeTimers();
+  });
+
+  describe("token bucket", () => {
+    test("should allow a burst, then refill steadily", () => {
+      const clock = new VirtualClock();
+      const limiter = new RateLimiter({
+        limit: 100,
+        interval: 60000,
+        burst: 10,
+        scheduler: clock,
+      });
+
+      let granted = 0;
+      while (limiter.tryAcquire()) granted++;
+      expect(granted).toBe(10);
+      expect(limiter.remaining).toBe(0);
+      expect(limiter.resetAt).toBe(6000);
+
+      clock.advance(600);
+      expect(limiter.remaining).toBe(1);
+      expect(limiter.tryAcquire()).toBe(true);
+      expect(limiter.tryAcquire()).toBe(false);
+    });
+
+    test("should not refill past the burst size", () => {
+      const clock = new VirtualClock();
+      const limiter = new RateLimiter({
+        limit: 5,
+        interval: 1000,
+        scheduler: clock,
+      });
+
+      limiter.tryAcquire(5);
+      clock.advance(10000);
+      expect(limiter.remaining).toBe(5);
+      expect(limiter.resetAt).toBe(clock.now());
+    });
+  });
+
+  describe("sliding window", () => {
+    test("should allow limit permits in any interval", () => {
+      const clock = new VirtualClock();
+      const limiter = new RateLimiter({
+        algorithm: "slidingWindow",
+        limit: 3,
+        interval: 1000,
+        scheduler: clock,
+      });
+
+      expect(limiter.tryAcquire()).toBe(true);
+      clock.advance(400);
+      expect(limiter.tryAcquire(2)).toBe(true);
+      expect(limiter.tryAcquire()).toBe(false);
+      expect(limiter.resetAt).toBe(1400);
+
+      clock.advance(600);
+      expect(limiter.remaining).toBe(1);
+      expect(limiter.tryAcquire(2)).toBe(false);
+
+      clock.advance(400);
+      expect(limiter.remaining).toBe(3);
+    });
+  });
+
+  test("should queue acquire() calls until capacity is available", async () => {
+    const clock = new VirtualClock();
+    const limiter = new RateLimiter({
+      limit: 2,
+      interval: 1000,
+      scheduler: clock,
+    });
+    const times = [];
+
+    for (let i = 0; i < 4; i++)
+      limiter.acquire().then(() => times.push(clock.now()));
+    expect(limiter.queued).toBe(2);
+
+    await settle();
+    expect(times).toEqual([0, 0]);
+
+    clock.advance(500);
+    await settle();
+    clock.advance(500);
+    await settle();
+    expect(times).toEqual([0, 0, 500, 1000]);
+    expect(limiter.queued).toBe(0);
+  });
+
+  test("should serve waiting callers in order", async () => {
+    const clock = new VirtualClock();
+    const limiter = new RateLimiter({
+      algorithm: "slidingWindow",
+      limit: 2,
+      interval: 1000,
+      scheduler: clock,
+    });
+    const order = [];
+
+    limiter.tryAcquire(2);
+    limiter.acquire(2).then(() => order.push("two"));
+    limiter.acquire(1).then(() => order.push("one"));
+    expect(limiter.tryAcquire()).toBe(false);
+
+    clock.advance(1000);
+    await settle();
+    expect(order).toEqual(["two"]);
+
+    clock.advance(1000);
+    await settle();
+    expect(order).toEqual(["two", "one"]);
+  });
+
+  test("should run scheduled functions at the limited rate", async () => {
+    const clock = new VirtualClock();
+    const limiter = new RateLimiter({
+      limit: 1,
+      interval: 100,
+      scheduler: clock,
+    });
+    const fn = jest.fn((x) => x * 2);
+
+    const results = [limiter.schedule(fn, 1), limiter.schedule(fn, 2)];
+    await settle();
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    clock.advance(100);
+    await expect(Promise.all(results)).resolves.toEqual([2, 4]);
+  });
+
+  test("should reject acquire() when the queue is full", async () => {
+    const clock = new VirtualClock();
+    const limiter = new RateLimiter({
+      limit: 1,
+      interval: 1000,
+      maxQueue: 1,
+      scheduler: clock,
+    });
+
+    await limiter.acquire();
+    limiter.acquire();
+    await expect(limiter.acquire()).rejects.toBeInstanceOf(RateLimitError);
+    expect(limiter.queued).toBe(1);
+  });
+
+  test("should validate its options", async () => {
+    expect(() => new RateLimiter({ limit: 0, interval: 1000 })).toThrow(
+      RangeError,
+    );
+    expect(
+      () => new RateLimiter({ limit: 1, interval: 1000, algorithm: "leaky" }),
+    ).toThrow(TypeError);
+
+    const limiter = new RateLimiter({ limit: 5, interval: 1000, burst: 2 });
+    expect(() => limiter.tryAcquire(3)).toThrow(RangeError);
+    await expect(limiter.acquire(0)).rejects.toThrow(RangeError);
+    await expect(limiter.acquire(3)).rejects.toThrow(RangeError);
+    expect(limiter.queued).toBe(0);
+  });
+});
+
+describe("schedulers", () => {
+  describe("VirtualClock", () => {
+    test("should run timers in order as time advances", () => {
+      const clock = new VirtualClock();
+      const log = [];
+
+      clock.setTimeout(() => log.push(["b", clock.now()]), 200);
+      clock.setTimeout(() => log.push(["a", clock.now()]), 100);
+      const id = clock.setTimeout(() => log.push(["cancelled"]), 150);
+      clock.clearTimeout(id);
+
+      clock.advance(150);
+      expect(log).toEqual([["a", 100]]);
+      expect(clock.now()).toBe(150);
+
+      clock.advance(50);
+      expect(log).toEqual([
+        ["a", 100],
+        ["b", 200],
+      ]);
+      expect(clock.pending).toBe(0);
+    });
+
+    test("should run timers scheduled by other timers", () => {
+      const clock = new VirtualClock(1000);
+      const times = [];
+      const tick = () => {
+        times.push(clock.now());
+        if (times.length < 3) clock.setTimeout(tick, 10);
+      };
+      clock.setTimeout(tick, 10);
+
+      clock.runAll();
+      expect(times).toEqual([1010, 1020, 1030]);
+    });
+
+    test("should stop runAll on timers that never finish", () => {
+      const clock = new VirtualClock();
+      const tick = () => clock.setTimeout(tick, 10);
+      tick();
+
+      expect(() => clock.runAll(50)).toThrow("Timers still pending");
+    });
+
+    test("should drive debounce without fake timers", () => {
+      jest.useRealTimers();
+      try {
+        const clock = new VirtualClock();
+        const fn = jest.fn();
+        const debounced = debounce(fn, 100, { scheduler: clock, maxWait: 250 });
+
+        for (let i = 0; i < 6; i++) {
+          debounced(i);
+          clock.advance(50);
+        }
+        expect(fn.mock.calls).toEqual([[4]]);
+
+        clock.advance(100);
+        expect(fn.mock.calls).toEqual([[4], [5]]);
+      } finally {
+        jest.useFakeTimers();
+      }
+    });
+
+    test("should drive throttle and debounceAsync", async () => {
+      const clock = new VirtualClock();
+      const fn = jest.fn();
+      const throttled = throttle(fn, 100, { scheduler: clock });
+
+      throttled("a");
+      throttled("b");
+      clock.advance(100);
+      expect(fn.mock.calls).toEqual([["a"], ["b"]]);
+
+      const search = debounceAsync(async (q) => q, 100, { scheduler: clock });
+      const promise = search("x");
+      clock.advance(100);
+      await expect(promise).resolves.toBe("x");
+    });
+  });
+
+  describe("createFrameScheduler", () => {
+    function fakeFrames() {
+      let time = 0;
+      let callbacks = new Map();
+      let nextId = 1;
+      return {
+        now: () => time,
+        requestFrame: (callback) => {
+          callbacks.set(nextId, callback);
+          return nextId++;
+        },
+        cancelFrame: (id) => callbacks.delete(id),
+        frame() {
+          time += 16;
+          const current = callbacks;
+          callbacks = new Map();
+          current.forEach((callback) => callback(time));
+        },
+      };
+    }
+
+    test("should run callbacks on the first frame after the delay", () => {
+      const frames = fakeFrames();
+      const scheduler = createFrameScheduler(frames);
+      const callback = jest.fn();
+
+      scheduler.setTimeout(callback, 40);
+      frames.frame(); // 16ms
+      frames.frame(); // 32ms
+      expect(callback).not.toHaveBeenCalled();
+
+      frames.frame(); // 48ms
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test("should run zero-delay callbacks on the next frame", () => {
+      const frames = fakeFrames();
+      const callback = jest.fn();
+
+      createFrameScheduler(frames).setTimeout(callback, 0);
+      expect(callback).not.toHaveBeenCalled();
+      frames.frame();
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test("should cancel pending frames", () => {
+      const frames = fakeFrames();
+      const scheduler = createFrameScheduler(frames);
+      const callback = jest.fn();
+
+      const handle = scheduler.setTimeout(callback, 20);
+      frames.frame();
+      scheduler.clearTimeout(handle);
+      frames.frame();
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    test("should drive throttle on animation frames", () => {
+      const frames = fakeFrames();
+      const fn = jest.fn();
+      const throttled = throttle(fn, 0, {
+        scheduler: createFrameScheduler(frames),
+      });
+
+      throttled(1);
+      throttled(2);
+      throttled(3);
+      expect(fn.mock.calls).toEqual([[1]]);
+
+      frames.frame();
+      expect(fn.mock.calls).toEqual([[1], [3]]);
+    });
+  });
 });
@@ -1,3 +1,5 @@
+"use strict";
+
 /**
  * Custom Bind Implementation
  *
@@ -5,6 +7,18 @@
  * the provided context, with a given sequence of arguments preceding any
  * provided when the new function is called.
  *
+ * Behaves like native Function.prototype.bind: called with `new`, the bound
+ * function constructs `fn` (classes included) with the bound context
+ * ignored and `new.target` passed through. It is only a constructor if `fn`
+ * is, its `prototype` is undefined, and `instanceof` checks against it use
+ * `fn`. Its name is "bound <name>" and its length is what remains of
+ * `fn.length` after the bound arguments.
+ *
+ * Unlike a native bound function, a constructible result still has an own
+ * `prototype` property (set to undefined): every function that supports
+ * `new`, other than a native bound one, has a non-configurable
+ * `prototype`, so it can't be removed.
+ *
  * @param {Function} fn - The function to bind
  * @param {*} context - The value to bind as `this`
  * @param {...*} boundArgs - Arguments to prepend to the bound function
@@ -14,29 +28,644 @@ function customBind(fn, context, ...boundArgs) {
   if (typeof fn !== "function")
     throw new TypeError("First argument must be a function.");
 
-  function wrapper(...runtimeArgs) {
-    const args = [...boundArgs, ...runtimeArgs];
+  return createWrapper(
+    fn,
+    boundArgs.length,
+    (_, runtimeArgs) => [context, concatArgs(boundArgs, runtimeArgs)],
+    { thisArg: context, args: boundArgs, fill: concatArgs },
+  );
+}
+
+/**
+ * Helper: Create a function that forwards calls and `new` to `fn`, with the
+ * native bound function shape
+ *
+ * @param {Function} fn - The target function
+ * @param {number} fixedCount - Arguments already supplied, for the length
+ * @param {Function} resolveCall - Called as `resolveCall(this, runtimeArgs)`,
+ *   returns `[thisArg, args]` for the call to `fn`
+ * @param {Object} binding - What the wrapper fixes, for introspection:
+ *   `args` (with placeholders), the `fill` helper that combines them with
+ *   later arguments, and `thisArg` if `this` is bound
+ * @returns {Function} The wrapper
+ */
+function createWrapper(fn, fixedCount, resolveCall, binding) {
+  let wrapper;
+  if (isConstructor(fn)) {
+    wrapper = function (...runtimeArgs) {
+      const [thisArg, args] = resolveCall(this, runtimeArgs);
 
-    // Handle constructor calls
-    if (this instanceof wrapper) return fn.apply(this, args);
+      // Handle constructor calls, including super() calls from subclasses
+      if (new.target)
+        return Reflect.construct(
+          fn,
+          args,
+          new.target === wrapper ? fn : new.target,
+        );
 
-    return fn.apply(context, args);
+      return fn.apply(thisArg, args);
+    };
+    // Non-configurable, so it can only be emptied, not deleted
+    wrapper.prototype = undefined;
+  } else {
+    // Methods can't be called with `new`, just like arrow functions
+    wrapper = {
+      bound(...runtimeArgs) {
+        const [thisArg, args] = resolveCall(this, runtimeArgs);
+        return fn.apply(thisArg, args);
+      },
+    }.bound;
   }
 
-  if (fn.prototype !== undefined)
-    wrapper.prototype = Object.create(fn.prototype);
+  Object.setPrototypeOf(wrapper, Object.getPrototypeOf(fn));
+  Object.defineProperty(wrapper, "name", {
+    value: `bound ${typeof fn.name === "string" ? fn.name : ""}`,
+    configurable: true,
+  });
+  Object.defineProperty(wrapper, "length", {
+    value: getBoundLength(fn, fixedCount),
+    configurable: true,
+  });
+  Object.defineProperty(wrapper, Symbol.hasInstance, {
+    value: (instance) => instance instanceof fn,
+    configurable: true,
+  });
 
+  boundFunctions.set(wrapper, { target: fn, ...binding });
   return wrapper;
 }
 
 /**
- * BONUS: Prototype Method Implementation
+ * Metadata for every function created by createWrapper, keyed by wrapper.
+ * A WeakMap so that recording it doesn't keep wrappers alive.
+ */
+const boundFunctions = new WeakMap();
+
+/**
+ * Helper: Put fixed arguments before later ones, as bind does
+ *
+ * @param {Array} fixed - Bound arguments
+ * @param {Array} args - Later arguments
+ * @returns {Array}
+ */
+function concatArgs(fixed, args) {
+  return [...fixed, ...args];
+}
+
+/**
+ * Helper: Check whether a function can be called with `new`
+ *
+ * Reflect.construct checks its third argument without calling it.
+ *
+ * @param {Function} fn - The function to check
+ * @returns {boolean}
+ */
+function isConstructor(fn) {
+  try {
+    Reflect.construct(String, [], fn);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Helper: The length of a bound function, as native bind computes it
+ *
+ * @param {Function} fn - The target function
+ * @param {number} boundCount - The number of bound arguments
+ * @returns {number}
+ */
+function getBoundLength(fn, boundCount) {
+  if (!Object.prototype.hasOwnProperty.call(fn, "length")) return 0;
+
+  const length = fn.length;
+  if (typeof length !== "number") return 0;
+  if (length === Infinity) return Infinity;
+  if (length === -Infinity || Number.isNaN(length)) return 0;
+  return Math.max(0, Math.trunc(length) - boundCount);
+}
+
+/**
+ * Custom Call Implementation
+ *
+ * Calls `fn` with `this` set to `context`, without using the native call or
+ * apply: `fn` is briefly stored on the context under a unique Symbol key and
+ * called as a method of it.
+ *
+ * As for non-strict functions, a null or undefined context becomes the
+ * global object and primitives are boxed. Contexts that can't take a new
+ * property (frozen, sealed or non-extensible objects) fall back to
+ * Reflect.apply.
+ *
+ * @param {Function} fn - The function to call
+ * @param {*} context - The value to use as `this`
+ * @param {...*} args - Arguments for `fn`
+ * @returns {*} The return value of `fn`
+ */
+function customCall(fn, context, ...args) {
+  if (typeof fn !== "function")
+    throw new TypeError("First argument must be a function.");
+
+  const target =
+    context === null || context === undefined ? globalThis : Object(context);
+  if (!Object.isExtensible(target)) return Reflect.apply(fn, target, args);
+
+  const key = Symbol("customCall");
+  Object.defineProperty(target, key, { value: fn, configurable: true });
+  try {
+    return target[key](...args);
+  } finally {
+    delete target[key];
+  }
+}
+
+/**
+ * Custom Apply Implementation
+ *
+ * Like customCall, with the arguments given as an array or array-like
+ * object.
+ *
+ * @param {Function} fn - The function to call
+ * @param {*} context - The value to use as `this`
+ * @param {Array|Object} [args] - Arguments for `fn`; null or undefined for none
+ * @returns {*} The return value of `fn`
+ */
+function customApply(fn, context, args) {
+  if (args === null || args === undefined) return customCall(fn, context);
+  if (typeof args !== "object" && typeof args !== "function")
+    throw new TypeError("Arguments must be an array-like object.");
+
+  return customCall(fn, context, ...Array.from(args));
+}
+
+/**
+ * Marks an argument of partial() or partialRight() that is left open, to be
+ * filled by the arguments of later calls
+ */
+const placeholder = Symbol("placeholder");
+
+/**
+ * Partial Application Implementation
+ *
+ * Creates a function that calls `fn` with `partials` followed by the
+ * arguments it receives. `placeholder` entries in `partials` are holes that
+ * the received arguments fill, left to right, before the rest are appended:
+ * `partial(fn, placeholder, 10)(1, 2)` calls `fn(1, 10, 2)`.
+ *
+ * Unlike customBind, `this` is passed through from each call. Calls with
+ * `new` and the name and length follow customBind.
+ *
+ * @param {Function} fn - The function to partially apply
+ * @param {...*} partials - Arguments to fix, with placeholder for holes
+ * @returns {Function} The partially applied function
+ */
+function partial(fn, ...partials) {
+  if (typeof fn !== "function")
+    throw new TypeError("First argument must be a function.");
+
+  return createWrapper(
+    fn,
+    countFixed(partials),
+    (thisArg, runtimeArgs) => [
+      thisArg,
+      withoutHoles(fillLeft(partials, runtimeArgs)),
+    ],
+    { args: partials, fill: fillLeft },
+  );
+}
+
+/**
+ * Partial Application From the Right Implementation
+ *
+ * Like partial(), but `partials` go after the received arguments. The last
+ * received arguments fill the holes, left to right, and the ones before
+ * them come first: `partialRight(fn, placeholder, 10)(1, 2)` calls
+ * `fn(1, 2, 10)`.
+ *
+ * @param {Function} fn - The function to partially apply
+ * @param {...*} partials - Trailing arguments to fix, with placeholder for holes
+ * @returns {Function} The partially applied function
+ */
+function partialRight(fn, ...partials) {
+  if (typeof fn !== "function")
+    throw new TypeError("First argument must be a function.");
+
+  return createWrapper(
+    fn,
+    countFixed(partials),
+    (thisArg, runtimeArgs) => [
+      thisArg,
+      withoutHoles(fillRight(partials, runtimeArgs)),
+    ],
+    { args: partials, fill: fillRight },
+  );
+}
+
+/**
+ * Curry Implementation
+ *
+ * Creates a function that collects arguments over any number of calls and
+ * calls `fn` once `arity` of them are in place. Each call may pass several
+ * arguments, and `placeholder` leaves a position open for a later call:
+ * `curry(fn)(_, 2)(1)(3)` calls `fn(1, 2, 3)`. `this` is taken from the
+ * call that completes the arguments.
+ *
+ * @param {Function} fn - The function to curry
+ * @param {number} [arity=fn.length] - The number of arguments to wait for
+ * @returns {Function} The curried function
+ */
+function curry(fn, arity) {
+  return createCurried(fn, resolveArity(fn, arity), [], fillLeft);
+}
+
+/**
+ * Curry From the Right Implementation
+ *
+ * Like curry(), but each call's arguments go before the ones collected so
+ * far: `curryRight(fn)(3)(2)(1)` calls `fn(1, 2, 3)`.
+ *
+ * @param {Function} fn - The function to curry
+ * @param {number} [arity=fn.length] - The number of arguments to wait for
+ * @returns {Function} The curried function
+ */
+function curryRight(fn, arity) {
+  return createCurried(fn, resolveArity(fn, arity), [], fillRight);
+}
+
+/**
+ * Uncurry This Implementation
+ *
+ * Turns a method into a standalone function that takes the receiver as
+ * its first argument: `uncurryThis(Array.prototype.slice)(list, 1)` is
+ * `list.slice(1)`, without depending on `list` having a slice method.
+ *
+ * @param {Function} method - The method to convert
+ * @returns {Function} The standalone function
+ */
+function uncurryThis(method) {
+  if (typeof method !== "function")
+    throw new TypeError("First argument must be a function.");
+
+  const uncurried = (thisArg, ...args) => method.apply(thisArg, args);
+  Object.defineProperty(uncurried, "name", {
+    value: typeof method.name === "string" ? method.name : "",
+    configurable: true,
+  });
+  Object.defineProperty(uncurried, "length", {
+    value: getBoundLength(method, -1),
+    configurable: true,
+  });
+  return uncurried;
+}
+
+/**
+ * Helper: Fill placeholders in `partials` with `args` from the left, then
+ * append the remaining args
+ *
+ * @param {Array} partials - Arguments so far, possibly with placeholders
+ * @param {Array} args - New arguments
+ * @returns {Array} The combined arguments (unfilled holes stay placeholders)
+ */
+function fillLeft(partials, args) {
+  let next = 0;
+  const filled = partials.map((arg) =>
+    arg === placeholder && next < args.length ? args[next++] : arg,
+  );
+  return [...filled, ...args.slice(next)];
+}
+
+/**
+ * Helper: Fill placeholders in `partials` with the last of `args`, and put
+ * the args before those first
+ *
+ * @param {Array} partials - Arguments so far, possibly with placeholders
+ * @param {Array} args - New arguments
+ * @returns {Array} The combined arguments (unfilled holes stay placeholders)
+ */
+function fillRight(partials, args) {
+  const holes = partials.length - countFixed(partials);
+  const leading = args.slice(0, Math.max(0, args.length - holes));
+  let next = leading.length;
+  const trailing = partials.map((arg) =>
+    arg === placeholder && next < args.length ? args[next++] : arg,
+  );
+  return [...leading, ...trailing];
+}
+
+/**
+ * Helper: Replace unfilled placeholders with undefined
+ *
+ * @param {Array} args - Combined arguments
+ * @returns {Array}
+ */
+function withoutHoles(args) {
+  return args.map((arg) => (arg === placeholder ? undefined : arg));
+}
+
+/**
+ * Helper: Validate the arguments of curry() and curryRight()
+ *
+ * `fn` is checked before its length is read for the default arity.
+ *
+ * @param {Function} fn - The function to curry
+ * @param {number} [arity] - The number of arguments to wait for
+ * @returns {number} The arity to use
+ */
+function resolveArity(fn, arity) {
+  if (typeof fn !== "function")
+    throw new TypeError("First argument must be a function.");
+  if (arity === undefined) return fn.length;
+  if (!Number.isInteger(arity) || arity < 0)
+    throw new RangeError("Arity must be a non-negative integer.");
+  return arity;
+}
+
+/**
+ * Helper: Create one step of a curried function
+ *
+ * @param {Function} fn - The function being curried
+ * @param {number} arity - The number of arguments to wait for
+ * @param {Array} collected - Arguments so far, possibly with placeholders
+ * @param {Function} fill - fillLeft or fillRight
+ * @returns {Function} A function taking the next arguments
+ */
+function createCurried(fn, arity, collected, fill) {
+  const curried = function (...args) {
+    const combined = fill(collected, args);
+    if (combined.length >= arity && !combined.includes(placeholder))
+      return fn.apply(this, combined);
+
+    return createCurried(fn, arity, combined, fill);
+  };
+
+  Object.defineProperty(curried, "length", {
+    value: Math.max(0, arity - countFixed(collected)),
+    configurable: true,
+  });
+  return curried;
+}
+
+/**
+ * Helper: Count the arguments that aren't placeholders
+ *
+ * @param {Array} partials - Arguments given to partial() or partialRight()
+ * @returns {number}
+ */
+function countFixed(partials) {
+  return partials.filter((arg) => arg !== placeholder).length;
+}
+
+/**
+ * Auto Bind Implementation
+ *
+ * Binds the methods an instance inherits to that instance, so they can be
+ * passed around as callbacks without `this.handle = this.handle.bind(this)`.
+ * Walks the prototype chain up to, but not including, Object.prototype;
+ * getters, setters and constructors are left alone. Each method is bound
+ * with customBind on first access and then stored on the instance, so
+ * methods that are never read cost nothing beyond a property definition.
+ *
+ * @param {Object} instance - The object whose methods should be bound
+ * @param {Object} [options]
+ * @param {Array<string|symbol|RegExp>} [options.include] - Only bind these
+ * @param {Array<string|symbol|RegExp>} [options.exclude] - Don't bind these
+ * @returns {Object} The same instance
+ */
+function autoBind(instance, { include, exclude } = {}) {
+  if (instance === null || typeof instance !== "object")
+    throw new TypeError("First argument must be an object.");
+
+  const wanted = (key) =>
+    (include === undefined || matchesKey(include, key)) &&
+    (exclude === undefined || !matchesKey(exclude, key));
+  const seen = new Set();
+
+  for (
+    let proto = Object.getPrototypeOf(instance);
+    proto !== null && proto !== Object.prototype;
+    proto = Object.getPrototypeOf(proto)
+  ) {
+    for (const key of Reflect.ownKeys(proto)) {
+      if (key === "constructor" || seen.has(key)) continue;
+      seen.add(key);
+
+      const descriptor = Object.getOwnPropertyDescriptor(proto, key);
+      if (
+        typeof descriptor.value !== "function" ||
+        Object.prototype.hasOwnProperty.call(instance, key) ||
+        !wanted(key)
+      )
+        continue;
+
+      defineLazyBound(instance, key, descriptor.value);
+    }
+  }
+
+  return instance;
+}
+
+/**
+ * Helper: Check whether a key matches any entry of an include/exclude list
+ *
+ * @param {Array<string|symbol|RegExp>} patterns - Keys or patterns
+ * @param {string|symbol} key - The property key
+ * @returns {boolean}
+ */
+function matchesKey(patterns, key) {
+  return patterns.some((pattern) =>
+    pattern instanceof RegExp
+      ? typeof key === "string" && pattern.test(key)
+      : pattern === key,
+  );
+}
+
+/**
+ * Helper: Define an accessor that replaces itself with the bound method on
+ * first access
+ *
+ * Assigning to the property before it's read stores the new value as is.
+ *
+ * @param {Object} instance - The object to bind to
+ * @param {string|symbol} key - The method's key
+ * @param {Function} method - The method found on the prototype chain
+ */
+function defineLazyBound(instance, key, method) {
+  const store = (value) =>
+    Object.defineProperty(instance, key, {
+      value,
+      writable: true,
+      configurable: true,
+    });
+
+  Object.defineProperty(instance, key, {
+    get() {
+      const bound = customBind(method, instance);
+      store(bound);
+      return bound;
+    },
+    set: store,
+    configurable: true,
+  });
+}
+
+/**
+ * Is Bound Implementation
+ *
+ * Checks whether a function was created by customBind, partial or
+ * partialRight (autoBind uses customBind, so its methods count too).
+ * Native bound functions can't be inspected and return false.
+ *
+ * @param {*} fn - The value to check
+ * @returns {boolean}
+ */
+function isBound(fn) {
+  return boundFunctions.has(fn);
+}
+
+/**
+ * Get Bound Target Implementation
+ *
+ * Returns the function a bound function ends up calling, unwrapping any
+ * chain of customBind, partial and partialRight calls.
+ *
+ * @param {Function} fn - A bound function
+ * @returns {Function|undefined} The original function, or undefined if
+ *   `fn` isn't bound
+ */
+function getBoundTarget(fn) {
+  return isBound(fn) ? unwrapBound(fn).target : undefined;
+}
+
+/**
+ * Get Bound This Implementation
+ *
+ * Returns the `this` a bound function calls its target with. In a chain
+ * the innermost customBind wins, as it does for the calls themselves.
+ *
+ * @param {Function} fn - A bound function
+ * @returns {*} The bound `this`, or undefined if `fn` isn't bound or only
+ *   partially applied
+ */
+function getBoundThis(fn) {
+  return isBound(fn) ? unwrapBound(fn).thisArg : undefined;
+}
+
+/**
+ * Get Bound Args Implementation
+ *
+ * Returns the arguments fixed across a whole chain of bound functions, in
+ * the order the target receives them. Holes that no layer fills are left
+ * as `placeholder`. With partialRight, arguments given at call time go
+ * before these rather than after.
+ *
+ * @param {Function} fn - A bound function
+ * @returns {Array|undefined} A new array of arguments, or undefined if
+ *   `fn` isn't bound
+ */
+function getBoundArgs(fn) {
+  return isBound(fn) ? unwrapBound(fn).args : undefined;
+}
+
+/**
+ * Helper: Follow a chain of bound functions down to the original target
+ *
+ * Works outwards in: each layer's fixed arguments are combined with those
+ * of the layers around it the same way a call combines them.
  *
- * Add customBind to Function.prototype so it can be called as:
- * myFunction.customBind(context, ...args)
+ * @param {Function} fn - A bound function
+ * @returns {{ target: Function, thisArg: *, args: Array }}
  */
-Function.prototype.customBind = function (context, ...boundArgs) {
-  return customBind(this, context, ...boundArgs);
+function unwrapBound(fn) {
+  let target = fn;
+  let thisArg;
+  let args = [];
+  for (
+    let binding = boundFunctions.get(target);
+    binding !== undefined;
+    binding = boundFunctions.get(target)
+  ) {
+    args = binding.fill(binding.args, args);
+    if ("thisArg" in binding) thisArg = binding.thisArg;
+    target = binding.target;
+  }
+  return { target, thisArg, args };
+}
+
+// The Function.prototype methods install() adds
+const prototypeMethods = {
+  customBind(context, ...boundArgs) {
+    return customBind(this, context, ...boundArgs);
+  },
+  customCall(context, ...args) {
+    return customCall(this, context, ...args);
+  },
+  customApply(context, args) {
+    return customApply(this, context, args);
+  },
 };
 
-module.exports = { customBind };
+/**
+ * Install Implementation
+ *
+ * Adds customBind, customCall and customApply to Function.prototype, so
+ * they can be called as `myFunction.customBind(context, ...args)`. Nothing
+ * is added until this is called. Calling it again is a no-op.
+ *
+ * @throws {Error} If Function.prototype already has one of the names for
+ *   something else; nothing is installed then
+ */
+function install() {
+  const conflicts = Object.keys(prototypeMethods).filter(
+    (name) =>
+      name in Function.prototype &&
+      Function.prototype[name] !== prototypeMethods[name],
+  );
+  if (conflicts.length > 0)
+    throw new Error(
+      `Function.prototype already has ${conflicts.join(", ")}; not installing.`,
+    );
+
+  for (const [name, method] of Object.entries(prototypeMethods)) {
+    Object.defineProperty(Function.prototype, name, {
+      value: method,
+      writable: true,
+      configurable: true,
+    });
+  }
+}
+
+/**
+ * Uninstall Implementation
+ *
+ * Removes the methods install() added. Properties that were replaced by
+ * something else since are left alone.
+ */
+function uninstall() {
+  for (const [name, method] of Object.entries(prototypeMethods)) {
+    if (
+      Object.prototype.hasOwnProperty.call(Function.prototype, name) &&
+      Function.prototype[name] === method
+    )
+      delete Function.prototype[name];
+  }
+}
+
+module.exports = {
+  customBind,
+  customCall,
+  customApply,
+  partial,
+  partialRight,
+  placeholder,
+  curry,
+  curryRight,
+  uncurryThis,
+  autoBind,
+  isBound,
+  getBoundTarget,
+  getBoundThis,
+  getBoundArgs,
+  install,
+  uninstall,
+};
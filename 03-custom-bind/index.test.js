@@ -1,4 +1,21 @@
-const { customBind } = require("./index");
+const {
+  customBind,
+  customCall,
+  customApply,
+  partial,
+  partialRight,
+  placeholder: _,
+  curry,
+  curryRight,
+  uncurryThis,
+  autoBind,
+  isBound,
+  getBoundTarget,
+  getBoundThis,
+  getBoundArgs,
+  install,
+  uninstall,
+} = require("./index");
 
 describe("customBind", () => {
   describe("basic binding", () => {
@@ -204,3 +221,746 @@ describe("customBind", () => {
     });
   });
 });
+
+describe("customCall", () => {
+  test("should call with the given this and arguments", () => {
+    function introduce(greeting, punctuation) {
+      return `${greeting}, ${this.name}${punctuation}`;
+    }
+    expect(customCall(introduce, { name: "Alice" }, "Hi", "!")).toBe(
+      "Hi, Alice!",
+    );
+  });
+
+  test("should not leave a property on the context", () => {
+    const context = {};
+    customCall(function () {
+      expect(Object.getOwnPropertySymbols(this)).toHaveLength(1);
+    }, context);
+    expect(Reflect.ownKeys(context)).toEqual([]);
+  });
+
+  test("should clean up when the function throws", () => {
+    const context = {};
+    expect(() =>
+      customCall(() => {
+        throw new Error("boom");
+      }, context),
+    ).toThrow("boom");
+    expect(Reflect.ownKeys(context)).toEqual([]);
+  });
+
+  test("should use the global object for null and undefined", () => {
+    function getThis() {
+      return this;
+    }
+    expect(customCall(getThis, null)).toBe(globalThis);
+    expect(customCall(getThis, undefined)).toBe(globalThis);
+  });
+
+  test("should box primitive this values", () => {
+    function getThis() {
+      return this;
+    }
+    const boxed = customCall(getThis, "text");
+    expect(typeof boxed).toBe("object");
+    expect(boxed).toBeInstanceOf(String);
+    expect(boxed.valueOf()).toBe("text");
+    expect(customCall(getThis, 1)).toBeInstanceOf(Number);
+  });
+
+  test("should work with frozen contexts", () => {
+    const frozen = Object.freeze({ value: 1 });
+    expect(
+      customCall(function () {
+        return this.value;
+      }, frozen),
+    ).toBe(1);
+  });
+
+  test("should not clash with existing properties", () => {
+    const context = { fn: "keep" };
+    customCall(function () {}, context);
+    expect(context).toEqual({ fn: "keep" });
+  });
+
+  test("should throw TypeError for non-functions", () => {
+    expect(() => customCall({}, null)).toThrow(TypeError);
+  });
+});
+
+describe("customApply", () => {
+  function sum(...numbers) {
+    return numbers.reduce((total, n) => total + n, this.base);
+  }
+
+  test("should call with an array of arguments", () => {
+    expect(customApply(sum, { base: 10 }, [1, 2, 3])).toBe(16);
+  });
+
+  test("should accept array-likes", () => {
+    expect(customApply(sum, { base: 0 }, { length: 2, 0: 4, 1: 5 })).toBe(9);
+  });
+
+  test("should treat null and undefined as no arguments", () => {
+    expect(customApply(sum, { base: 1 }, null)).toBe(1);
+    expect(customApply(sum, { base: 1 })).toBe(1);
+  });
+
+  test("should throw TypeError for primitive arguments", () => {
+    expect(() => customApply(sum, null, 5)).toThrow(TypeError);
+    expect(() => customApply(sum, null, "ab")).toThrow(TypeError);
+  });
+});
+
+describe("partial", () => {
+  const list = (...args) => args;
+
+  test("should prepend fixed arguments", () => {
+    expect(partial(list, 1, 2)(3, 4)).toEqual([1, 2, 3, 4]);
+  });
+
+  test("should fill placeholders left to right", () => {
+    expect(partial(list, _, 10, _, "x")(1, 2, 3)).toEqual([1, 10, 2, "x", 3]);
+  });
+
+  test("should leave unfilled placeholders undefined", () => {
+    expect(partial(list, _, 10, _)(1)).toEqual([1, 10, undefined]);
+  });
+
+  test("should fix the 2nd and 4th arguments of a callback-style API", () => {
+    function request(url, method, body, callback) {
+      return callback(`${method} ${url} ${body}`);
+    }
+    const post = partial(request, _, "POST", _, (result) => result);
+    expect(post("/items", "{}")).toBe("POST /items {}");
+  });
+
+  test("should pass this through", () => {
+    const obj = {
+      base: 100,
+      add: partial(function (a, b) {
+        return this.base + a + b;
+      }, 1),
+    };
+    expect(obj.add(2)).toBe(103);
+  });
+
+  test("should pass an undefined this to strict targets", () => {
+    const getThis = function () {
+      "use strict";
+      return this;
+    };
+    expect(partial(getThis)()).toBeUndefined();
+    expect(partialRight(getThis, 1)()).toBeUndefined();
+  });
+
+  test("should count only fixed arguments in length", () => {
+    function four(a, b, c, d) {}
+    expect(partial(four, 1).length).toBe(3);
+    expect(partial(four, _, 1, _, 2).length).toBe(2);
+    expect(partial(four, 1, 2, 3, 4, 5).length).toBe(0);
+    expect(partial(four, 1).name).toBe("bound four");
+  });
+
+  test("should support new like customBind", () => {
+    class Point {
+      constructor(x, y) {
+        this.x = x;
+        this.y = y;
+      }
+    }
+    const AtY5 = partial(Point, _, 5);
+    const point = new AtY5(1);
+
+    expect(point).toEqual({ x: 1, y: 5 });
+    expect(point).toBeInstanceOf(AtY5);
+    expect(AtY5.prototype).toBeUndefined();
+    expect(() => new (partial(() => {}, 1))()).toThrow(TypeError);
+  });
+
+  test("should throw TypeError for non-functions", () => {
+    expect(() => partial(null, 1)).toThrow(TypeError);
+  });
+});
+
+describe("partialRight", () => {
+  const list = (...args) => args;
+
+  test("should append fixed arguments", () => {
+    expect(partialRight(list, "a", "b")(1, 2)).toEqual([1, 2, "a", "b"]);
+  });
+
+  test("should fill placeholders with the last arguments", () => {
+    expect(partialRight(list, _, 10)(1, 2)).toEqual([1, 2, 10]);
+    expect(partialRight(list, _, 10, _)(1, 2, 3)).toEqual([1, 2, 10, 3]);
+  });
+
+  test("should leave unfilled placeholders undefined", () => {
+    expect(partialRight(list, _, 10, _)(1)).toEqual([1, 10, undefined]);
+  });
+
+  test("should pass this through and set the length", () => {
+    function format(value, unit, precision) {
+      return `${this.prefix}${value.toFixed(precision)}${unit}`;
+    }
+    const obj = { prefix: "~", format: partialRight(format, "kg", 1) };
+
+    expect(obj.format(2.345)).toBe("~2.3kg");
+    expect(obj.format.length).toBe(1);
+  });
+
+  test("should support new like customBind", () => {
+    function Range(start, end) {
+      this.start = start;
+      this.end = end;
+    }
+    const UpTo10 = partialRight(Range, 10);
+    expect(new UpTo10(1)).toEqual(new Range(1, 10));
+  });
+});
+
+describe("curry", () => {
+  const abc = (a, b, c) => [a, b, c];
+
+  test("should wait for fn.length arguments", () => {
+    expect(curry(abc)(1)(2)(3)).toEqual([1, 2, 3]);
+    expect(curry(abc)(1, 2)(3)).toEqual([1, 2, 3]);
+    expect(curry(abc)(1)(2, 3)).toEqual([1, 2, 3]);
+    expect(curry(abc)(1, 2, 3)).toEqual([1, 2, 3]);
+  });
+
+  test("should fill placeholders in later calls", () => {
+    expect(curry(abc)(_, 2)(1)(3)).toEqual([1, 2, 3]);
+    expect(curry(abc)(_, _, 3)(_, 2)(1)).toEqual([1, 2, 3]);
+  });
+
+  test("should reuse partially applied steps", () => {
+    const add = curry((a, b) => a + b);
+    const inc = add(1);
+    expect(inc(1)).toBe(2);
+    expect(inc(10)).toBe(11);
+  });
+
+  test("should accept an explicit arity", () => {
+    const list = curry((...args) => args, 2);
+    expect(list(1)(2)).toEqual([1, 2]);
+    expect(list(1, 2, 3)).toEqual([1, 2, 3]);
+    expect(curry(() => "now", 0)()).toBe("now");
+  });
+
+  test("should report the remaining arity as length", () => {
+    expect(curry(abc).length).toBe(3);
+    expect(curry(abc)(1).length).toBe(2);
+    expect(curry(abc)(_, 2).length).toBe(2);
+  });
+
+  test("should call fn with the final this", () => {
+    const obj = {
+      base: 10,
+      add: curry(function (a, b) {
+        return this.base + a + b;
+      }),
+    };
+    expect(obj.add(1, 2)).toBe(13);
+  });
+
+  test("should pass an undefined this to strict targets", () => {
+    const getThis = function () {
+      "use strict";
+      return this;
+    };
+    expect(curry(getThis, 0)()).toBeUndefined();
+    expect(curryRight(getThis, 1)(1)).toBeUndefined();
+  });
+
+  test("should throw for invalid arguments", () => {
+    expect(() => curry(null)).toThrow("First argument must be a function.");
+    expect(() => curry({ length: 2 })).toThrow(TypeError);
+    expect(() => curry(abc, -1)).toThrow(RangeError);
+    expect(() => curry(abc, 1.5)).toThrow(RangeError);
+  });
+});
+
+describe("curryRight", () => {
+  const abc = (a, b, c) => [a, b, c];
+
+  test("should take arguments from the right", () => {
+    expect(curryRight(abc)(3)(2)(1)).toEqual([1, 2, 3]);
+    expect(curryRight(abc)(2, 3)(1)).toEqual([1, 2, 3]);
+  });
+
+  test("should fill placeholders in later calls", () => {
+    expect(curryRight(abc)(_, 3)(2)(1)).toEqual([1, 2, 3]);
+  });
+
+  test("should throw for invalid arguments", () => {
+    expect(() => curryRight(undefined)).toThrow(
+      "First argument must be a function.",
+    );
+    expect(() => curryRight(abc, -1)).toThrow(RangeError);
+  });
+});
+
+describe("uncurryThis", () => {
+  test("should pass the first argument as this", () => {
+    const slice = uncurryThis(Array.prototype.slice);
+    expect(slice([1, 2, 3], 1)).toEqual([2, 3]);
+    expect(slice({ length: 2, 0: "a", 1: "b" })).toEqual(["a", "b"]);
+  });
+
+  test("should keep working when the method is overridden", () => {
+    const hasOwn = uncurryThis(Object.prototype.hasOwnProperty);
+    const obj = { a: 1, hasOwnProperty: () => false };
+    expect(hasOwn(obj, "a")).toBe(true);
+  });
+
+  test("should set name and length", () => {
+    const slice = uncurryThis(Array.prototype.slice);
+    expect(slice.name).toBe("slice");
+    expect(slice.length).toBe(3);
+  });
+
+  test("should throw for non-functions", () => {
+    expect(() => uncurryThis({})).toThrow(TypeError);
+  });
+});
+
+describe("autoBind", () => {
+  class Counter {
+    constructor() {
+      this.count = 0;
+    }
+    increment() {
+      this.count++;
+      return this.count;
+    }
+    reset() {
+      this.count = 0;
+    }
+    get double() {
+      return this.count * 2;
+    }
+  }
+
+  class LoudCounter extends Counter {
+    increment() {
+      return `${super.increment()}!`;
+    }
+    shout() {
+      return "HEY";
+    }
+  }
+
+  test("should bind inherited methods to the instance", () => {
+    const counter = autoBind(new Counter());
+    const { increment } = counter;
+
+    expect(increment()).toBe(1);
+    expect(increment()).toBe(2);
+    expect(counter.count).toBe(2);
+  });
+
+  test("should walk the prototype chain and prefer overrides", () => {
+    const counter = autoBind(new LoudCounter());
+    const { increment, reset, shout } = counter;
+
+    expect(increment()).toBe("1!");
+    expect(shout()).toBe("HEY");
+    reset();
+    expect(counter.count).toBe(0);
+  });
+
+  test("should skip getters, setters and the constructor", () => {
+    const counter = autoBind(new Counter());
+    expect(Object.getOwnPropertyNames(counter).sort()).toEqual([
+      "count",
+      "increment",
+      "reset",
+    ]);
+    counter.increment();
+    expect(counter.double).toBe(2);
+  });
+
+  test("should bind lazily and only once", () => {
+    const counter = autoBind(new Counter());
+    const before = Object.getOwnPropertyDescriptor(counter, "increment");
+    expect(typeof before.get).toBe("function");
+
+    const first = counter.increment;
+    const after = Object.getOwnPropertyDescriptor(counter, "increment");
+    expect(after.value).toBe(first);
+    expect(counter.increment).toBe(first);
+    expect(first.name).toBe("bound increment");
+  });
+
+  test("should keep methods non-enumerable", () => {
+    const counter = autoBind(new Counter());
+    counter.increment;
+    expect(Object.keys(counter)).toEqual(["count"]);
+  });
+
+  test("should allow methods to be reassigned", () => {
+    const counter = autoBind(new Counter());
+    counter.reset = () => "replaced";
+    expect(counter.reset()).toBe("replaced");
+  });
+
+  test("should leave own properties alone", () => {
+    const counter = new Counter();
+    const own = () => "own";
+    counter.reset = own;
+    autoBind(counter);
+    expect(counter.reset).toBe(own);
+  });
+
+  test("should support include and exclude", () => {
+    const only = autoBind(new LoudCounter(), { include: ["shout", /^inc/] });
+    expect(Object.getOwnPropertyNames(only).sort()).toEqual([
+      "count",
+      "increment",
+      "shout",
+    ]);
+
+    const without = autoBind(new LoudCounter(), { exclude: [/^re/] });
+    expect(Object.getOwnPropertyNames(without).sort()).toEqual([
+      "count",
+      "increment",
+      "shout",
+    ]);
+  });
+
+  test("should bind symbol-keyed methods", () => {
+    const key = Symbol("run");
+    class Task {
+      [key]() {
+        return this;
+      }
+    }
+    const task = autoBind(new Task());
+    const run = task[key];
+    expect(run()).toBe(task);
+  });
+
+  test("should not bind Object.prototype methods", () => {
+    const plain = autoBind({});
+    expect(Reflect.ownKeys(plain)).toEqual([]);
+  });
+
+  test("should throw for non-objects", () => {
+    expect(() => autoBind(null)).toThrow(TypeError);
+    expect(() => autoBind(42)).toThrow(TypeError);
+  });
+});
+
+describe("bound function introspection", () => {
+  function target(a, b, c) {
+    return [this, a, b, c];
+  }
+  const ctx = { name: "ctx" };
+
+  test("should describe a customBind result", () => {
+    const bound = customBind(target, ctx, 1, 2);
+    expect(isBound(bound)).toBe(true);
+    expect(getBoundTarget(bound)).toBe(target);
+    expect(getBoundThis(bound)).toBe(ctx);
+    expect(getBoundArgs(bound)).toEqual([1, 2]);
+  });
+
+  test("should unwrap chains of binds", () => {
+    const other = { name: "other" };
+    const bound = customBind(
+      customBind(customBind(target, ctx, 1), other, 2),
+      null,
+      3,
+    );
+
+    expect(getBoundTarget(bound)).toBe(target);
+    expect(getBoundThis(bound)).toBe(ctx);
+    expect(getBoundArgs(bound)).toEqual([1, 2, 3]);
+    expect(bound()).toEqual([ctx, 1, 2, 3]);
+  });
+
+  test("should describe partial application", () => {
+    const p = partial(target, _, 2);
+    expect(isBound(p)).toBe(true);
+    expect(getBoundTarget(p)).toBe(target);
+    expect(getBoundThis(p)).toBeUndefined();
+    expect(getBoundArgs(p)).toEqual([_, 2]);
+
+    expect(getBoundArgs(partialRight(target, 3))).toEqual([3]);
+  });
+
+  test("should fill placeholders across layers", () => {
+    const bound = customBind(partial(target, _, 2), ctx, 1);
+    expect(getBoundTarget(bound)).toBe(target);
+    expect(getBoundThis(bound)).toBe(ctx);
+    expect(getBoundArgs(bound)).toEqual([1, 2]);
+    expect(bound(3)).toEqual([ctx, 1, 2, 3]);
+
+    const mixed = partialRight(partial(customBind(target, ctx, 1), _, 3), 2);
+    expect(getBoundTarget(mixed)).toBe(target);
+    expect(getBoundThis(mixed)).toBe(ctx);
+    expect(getBoundArgs(mixed)).toEqual([1, 2, 3]);
+    expect(mixed()).toEqual([ctx, 1, 2, 3]);
+  });
+
+  test("should return a fresh array of arguments", () => {
+    const bound = customBind(target, ctx, 1);
+    getBoundArgs(bound).push(2);
+    expect(getBoundArgs(bound)).toEqual([1]);
+  });
+
+  test("should describe autoBind methods", () => {
+    class Handler {
+      handle() {}
+    }
+    const handler = autoBind(new Handler());
+    expect(getBoundTarget(handler.handle)).toBe(Handler.prototype.handle);
+    expect(getBoundThis(handler.handle)).toBe(handler);
+  });
+
+  test("should report unbound values", () => {
+    for (const value of [target, target.bind(ctx), () => {}, null, 42]) {
+      expect(isBound(value)).toBe(false);
+      expect(getBoundTarget(value)).toBeUndefined();
+      expect(getBoundThis(value)).toBeUndefined();
+      expect(getBoundArgs(value)).toBeUndefined();
+    }
+  });
+});
+
+describe("install/uninstall", () => {
+  afterEach(() => {
+    uninstall();
+    delete Function.prototype.customCall;
+  });
+
+  test("should not touch Function.prototype on require", () => {
+    expect("customBind" in Function.prototype).toBe(false);
+    expect("customCall" in Function.prototype).toBe(false);
+    expect("customApply" in Function.prototype).toBe(false);
+  });
+
+  test("should add and remove the prototype methods", () => {
+    function add(a, b) {
+      return this.base + a + b;
+    }
+
+    install();
+    install(); // A second call is a no-op
+    expect(add.customBind({ base: 1 }, 2)(3)).toBe(6);
+    expect(add.customCall({ base: 1 }, 2, 3)).toBe(6);
+    expect(add.customApply({ base: 1 }, [2, 3])).toBe(6);
+    expect(Object.keys(Function.prototype)).toEqual([]);
+
+    uninstall();
+    expect("customBind" in Function.prototype).toBe(false);
+    expect("customCall" in Function.prototype).toBe(false);
+    expect("customApply" in Function.prototype).toBe(false);
+  });
+
+  test("should refuse to overwrite existing properties", () => {
+    const existing = function () {};
+    Function.prototype.customCall = existing;
+
+    expect(() => install()).toThrow(
+      "Function.prototype already has customCall",
+    );
+    expect(Function.prototype.customCall).toBe(existing);
+    expect("customBind" in Function.prototype).toBe(false);
+  });
+
+  test("should leave properties replaced after install", () => {
+    install();
+    const replacement = function () {};
+    Function.prototype.customCall = replacement;
+
+    uninstall();
+    expect(Function.prototype.customCall).toBe(replacement);
+    expect("customBind" in Function.prototype).toBe(false);
+  });
+});
+
+// The same cases run against native bind, so any difference is a bug
+// The one known difference: a function that can be called with `new` can't
+// be created without its own (non-configurable) "prototype" property, so
+// customBind's constructible wrappers keep one, set to undefined.
+describe.each([
+  [
+    "native bind",
+    (fn, ...args) => Function.prototype.bind.call(fn, ...args),
+    false,
+  ],
+  ["customBind", customBind, true],
+])("bind conformance (%s)", (_, bind, ownPrototype) => {
+  describe("name and length", () => {
+    test("should be named after the target", () => {
+      function greet() {}
+      expect(bind(greet, null).name).toBe("bound greet");
+      expect(bind(() => {}, null).name).toBe("bound ");
+      expect(bind(bind(greet, null), null).name).toBe("bound bound greet");
+    });
+
+    test("should subtract bound arguments from the length", () => {
+      function three(a, b, c) {}
+      expect(bind(three, null).length).toBe(3);
+      expect(bind(three, null, 1).length).toBe(2);
+      expect(bind(three, null, 1, 2, 3, 4).length).toBe(0);
+      expect(bind(bind(three, null, 1), null, 2).length).toBe(1);
+    });
+
+    test("should handle unusual name and length values", () => {
+      function fn() {}
+      Object.defineProperty(fn, "name", { value: 42 });
+      Object.defineProperty(fn, "length", { value: 2.7 });
+      expect(bind(fn, null).name).toBe("bound ");
+      expect(bind(fn, null).length).toBe(2);
+
+      Object.defineProperty(fn, "length", { value: Infinity });
+      expect(bind(fn, null, 1).length).toBe(Infinity);
+      Object.defineProperty(fn, "length", { value: "3" });
+      expect(bind(fn, null).length).toBe(0);
+    });
+
+    test("should define name and length like native properties", () => {
+      const bound = bind(function fn(a) {}, null);
+      for (const key of ["name", "length"]) {
+        expect(Object.getOwnPropertyDescriptor(bound, key)).toMatchObject({
+          writable: false,
+          enumerable: false,
+          configurable: true,
+        });
+      }
+    });
+  });
+
+  describe("constructors", () => {
+    test("should construct class constructors", () => {
+      class Point {
+        constructor(x, y) {
+          this.x = x;
+          this.y = y;
+        }
+      }
+      const BoundPoint = bind(Point, { ignored: true }, 1);
+      const point = new BoundPoint(2);
+
+      expect(point).toBeInstanceOf(Point);
+      expect(point).toEqual({ x: 1, y: 2 });
+      expect(() => BoundPoint(2)).toThrow(TypeError);
+    });
+
+    test("should pass the target as new.target", () => {
+      function Target() {
+        this.newTarget = new.target;
+      }
+      const context = {};
+      const Bound = bind(Target, context);
+      expect(new Bound().newTarget).toBe(Target);
+
+      Bound();
+      expect(context.newTarget).toBeUndefined();
+    });
+
+    test("should pass a subclass as new.target", () => {
+      class Base {
+        constructor(value) {
+          this.value = value;
+          this.newTarget = new.target;
+        }
+      }
+      const BoundBase = bind(Base, null, "bound");
+
+      const instance = Reflect.construct(BoundBase, [], Array);
+      expect(instance.newTarget).toBe(Array);
+      expect(Object.getPrototypeOf(instance)).toBe(Array.prototype);
+    });
+
+    test("should not be a constructor if the target isn't", () => {
+      const arrow = bind(() => {}, null);
+      const method = bind({ m() {} }.m, null);
+      expect(() => new arrow()).toThrow(TypeError);
+      expect(() => new method()).toThrow(TypeError);
+    });
+
+    test("should have no prototype property", () => {
+      function Target() {}
+      const Bound = bind(Target, null);
+      expect(Bound.prototype).toBeUndefined();
+      expect(Object.hasOwn(Bound, "prototype")).toBe(ownPrototype);
+      expect(
+        Object.hasOwn(
+          bind(() => {}, null),
+          "prototype",
+        ),
+      ).toBe(false);
+      expect(() => {
+        class Sub extends Bound {}
+        return Sub;
+      }).toThrow(TypeError);
+    });
+
+    test("should construct through bound-of-bound chains", () => {
+      function Sum(a, b, c) {
+        this.sum = a + b + c;
+        this.newTarget = new.target;
+      }
+      const Bound = bind(bind(Sum, { a: 1 }, 1), { b: 2 }, 2);
+      const instance = new Bound(3);
+
+      expect(instance.sum).toBe(6);
+      expect(instance.newTarget).toBe(Sum);
+      expect(instance).toBeInstanceOf(Sum);
+    });
+  });
+
+  describe("instanceof", () => {
+    test("should check against the target's prototype", () => {
+      function Animal() {}
+      const BoundAnimal = bind(Animal, null);
+
+      expect(new Animal() instanceof BoundAnimal).toBe(true);
+      expect(new BoundAnimal() instanceof BoundAnimal).toBe(true);
+      expect({} instanceof BoundAnimal).toBe(false);
+      expect(42 instanceof BoundAnimal).toBe(false);
+      expect(new Animal() instanceof bind(BoundAnimal, null)).toBe(true);
+    });
+
+    test("should throw for targets without a prototype", () => {
+      const bound = bind(() => {}, null);
+      expect(() => ({}) instanceof bound).toThrow(TypeError);
+    });
+  });
+
+  describe("calls", () => {
+    test("should keep the first bound this in chains", () => {
+      function getThis() {
+        return this;
+      }
+      const first = { first: true };
+      expect(bind(bind(getThis, first), { second: true })()).toBe(first);
+    });
+
+    test("should share the target's prototype", () => {
+      async function task() {}
+      function* gen() {}
+      expect(Object.getPrototypeOf(bind(task, null))).toBe(
+        Object.getPrototypeOf(task),
+      );
+      expect(Object.getPrototypeOf(bind(gen, null))).toBe(
+        Object.getPrototypeOf(gen),
+      );
+    });
+
+    test("should box primitive this values in sloppy functions only", () => {
+      const sloppy = Function("return typeof this");
+      function strict() {
+        "use strict";
+        return typeof this;
+      }
+      expect(bind(sloppy, 1)()).toBe("object");
+      expect(bind(strict, 1)()).toBe("number");
+    });
+  });
+});
@@ -61,4 +61,127 @@ function memoize(fn, options = {}) {
   return wrapper;
 }
 
-module.exports = { memoize };
+/**
+ * Async Memoization Implementation
+ *
+ * Like memoize(), but for functions that return promises. Concurrent calls
+ * with the same key share one in-flight promise, and a promise that rejects
+ * is dropped from the cache so the next call tries again. The ttl counts
+ * from when the promise resolves.
+ *
+ * With `staleWhileRevalidate`, an entry that has outlived its ttl is kept
+ * for that many more milliseconds. Calls in that window get the stale value
+ * straight away while one refresh runs in the background; if the refresh
+ * rejects, the stale value stays until the window closes.
+ *
+ * @param {Function} fn - The async function to memoize
+ * @param {Object} [options] - Optional configuration
+ * @param {number} [options.maxSize] - Maximum number of cached entries
+ * @param {number} [options.ttl] - Time-to-live for resolved values in milliseconds
+ * @param {number} [options.staleWhileRevalidate] - How long after the ttl a
+ *   stale value may still be returned while it refreshes, in milliseconds
+ * @param {Function} [options.keyGenerator] - Custom function to generate cache keys
+ * @returns {Function} Memoized function returning promises, with cache control methods
+ */
+function memoizeAsync(fn, options = {}) {
+  const cache = new Map();
+  const {
+    maxSize,
+    ttl,
+    staleWhileRevalidate = 0,
+    keyGenerator = (args) => JSON.stringify(args),
+  } = options;
+
+  const deleteFromCache = (key) => {
+    const { timerId } = cache.get(key) || {};
+    clearTimeout(timerId);
+    cache.delete(key);
+  };
+
+  const call = (thisArg, args) => {
+    try {
+      return Promise.resolve(fn.apply(thisArg, args));
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  };
+
+  // Start (or restart) the ttl once a value is in
+  const settle = (key, entry, promise) => {
+    entry.promise = promise;
+    if (!ttl) return;
+    clearTimeout(entry.timerId);
+    entry.expiresAt = Date.now() + ttl;
+    entry.timerId = setTimeout(
+      () => deleteFromCache(key),
+      ttl + staleWhileRevalidate,
+    );
+  };
+
+  const revalidate = (key, entry, thisArg, args) => {
+    entry.refreshing = true;
+    const promise = call(thisArg, args);
+    promise.then(
+      () => {
+        entry.refreshing = false;
+        if (cache.get(key) === entry) settle(key, entry, promise);
+      },
+      () => {
+        entry.refreshing = false;
+      },
+    );
+  };
+
+  function wrapper(...args) {
+    const key = keyGenerator(args);
+    const entry = cache.get(key);
+
+    if (entry) {
+      const now = Date.now();
+      if (entry.expiresAt === undefined || now < entry.expiresAt)
+        return entry.promise;
+
+      if (now < entry.expiresAt + staleWhileRevalidate) {
+        if (!entry.refreshing) revalidate(key, entry, this, args);
+        return entry.promise;
+      }
+
+      deleteFromCache(key);
+    }
+
+    if (maxSize && cache.size === maxSize) {
+      const oldestKey = cache.keys().next().value;
+      deleteFromCache(oldestKey);
+    }
+
+    const promise = call(this, args);
+    const newEntry = { promise, refreshing: false };
+    cache.set(key, newEntry);
+    promise.then(
+      () => {
+        if (cache.get(key) === newEntry) settle(key, newEntry, promise);
+      },
+      () => {
+        if (cache.get(key) === newEntry) deleteFromCache(key);
+      },
+    );
+
+    return promise;
+  }
+
+  wrapper.cache = {
+    clear: () => {
+      const keys = [...cache.keys()];
+      for (const key of keys) deleteFromCache(key);
+    },
+    delete: (key) => deleteFromCache(key),
+    has: (key) => cache.has(key),
+    get size() {
+      return cache.size;
+    },
+  };
+
+  return wrapper;
+}
+
+module.exports = { memoize, memoizeAsync };
@@ -1,4 +1,4 @@
-const { memoize } = require("./index");
+const { memoize, memoizeAsync } = require("./index");
 
 describe("memoize", () => {
   describe("basic functionality", () => {
@@ -320,3 +320,253 @@ describe("memoize", () => {
     });
   });
 });
+
+describe("memoizeAsync", () => {
+  const deferred = () => {
+    let resolve, reject;
+    const promise = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    return { promise, resolve, reject };
+  };
+
+  describe("basic functionality", () => {
+    test("should cache resolved values", async () => {
+      let callCount = 0;
+      const memoized = memoizeAsync(async (x) => {
+        callCount++;
+        return x * 2;
+      });
+
+      expect(await memoized(5)).toBe(10);
+      expect(await memoized(5)).toBe(10);
+      expect(callCount).toBe(1);
+
+      expect(await memoized(10)).toBe(20);
+      expect(callCount).toBe(2);
+    });
+
+    test("should share one in-flight promise between concurrent calls", async () => {
+      const pending = deferred();
+      const fn = jest.fn(() => pending.promise);
+      const memoized = memoizeAsync(fn);
+
+      const first = memoized("a");
+      const second = memoized("a");
+      expect(second).toBe(first);
+      expect(fn).toHaveBeenCalledTimes(1);
+
+      pending.resolve("done");
+      await expect(Promise.all([first, second])).resolves.toEqual([
+        "done",
+        "done",
+      ]);
+    });
+
+    test("should drop rejected promises from the cache", async () => {
+      let callCount = 0;
+      const memoized = memoizeAsync(async (x) => {
+        callCount++;
+        if (callCount === 1) throw new Error("Flaky!");
+        return x;
+      });
+
+      const first = memoized(1);
+      const concurrent = memoized(1);
+      await expect(first).rejects.toThrow("Flaky!");
+      await expect(concurrent).rejects.toThrow("Flaky!");
+      expect(memoized.cache.size).toBe(0);
+
+      expect(await memoized(1)).toBe(1);
+      expect(callCount).toBe(2);
+    });
+
+    test("should turn synchronous throws into rejections", async () => {
+      const memoized = memoizeAsync(() => {
+        throw new Error("Sync!");
+      });
+
+      await expect(memoized()).rejects.toThrow("Sync!");
+      expect(memoized.cache.size).toBe(0);
+    });
+
+    test("should preserve this context", async () => {
+      const obj = {
+        base: 10,
+        add: memoizeAsync(async function (x) {
+          return this.base + x;
+        }),
+      };
+
+      expect(await obj.add(5)).toBe(15);
+    });
+  });
+
+  describe("options", () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test("should start the ttl when the promise resolves", async () => {
+      const fn = jest.fn(
+        (x) => new Promise((resolve) => setTimeout(() => resolve(x), 500)),
+      );
+      const memoized = memoizeAsync(fn, { ttl: 1000 });
+
+      const first = memoized(1);
+      await jest.advanceTimersByTimeAsync(500);
+      expect(await first).toBe(1);
+
+      await jest.advanceTimersByTimeAsync(900);
+      memoized(1); // Still within the ttl
+      expect(fn).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(101);
+      expect(memoized.cache.has(JSON.stringify([1]))).toBe(false);
+      memoized(1);
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    test("should evict the oldest entry when maxSize reached", async () => {
+      const fn = jest.fn(async (x) => x);
+      const memoized = memoizeAsync(fn, { maxSize: 2 });
+
+      await memoized(1);
+      await memoized(2);
+      await memoized(3);
+      expect(memoized.cache.size).toBe(2);
+      expect(memoized.cache.has(JSON.stringify([1]))).toBe(false);
+
+      await memoized(1);
+      expect(fn).toHaveBeenCalledTimes(4);
+    });
+
+    test("should use a custom key generator", async () => {
+      const fn = jest.fn(async (user) => user.name);
+      const memoized = memoizeAsync(fn, { keyGenerator: ([user]) => user.id });
+
+      await memoized({ id: 1, name: "Ada" });
+      expect(await memoized({ id: 1, name: "Other" })).toBe("Ada");
+      expect(memoized.cache.has(1)).toBe(true);
+    });
+
+    test("should return stale values while revalidating", async () => {
+      let version = 0;
+      const fn = jest.fn(async () => ++version);
+      const memoized = memoizeAsync(fn, {
+        ttl: 1000,
+        staleWhileRevalidate: 5000,
+      });
+
+      expect(await memoized()).toBe(1);
+      await jest.advanceTimersByTimeAsync(1500);
+
+      // Expired: the stale value comes back and one refresh starts
+      const stale = [memoized(), memoized()];
+      expect(await Promise.all(stale)).toEqual([1, 1]);
+      expect(fn).toHaveBeenCalledTimes(2);
+
+      await jest.advanceTimersByTimeAsync(0);
+      expect(await memoized()).toBe(2);
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    test("should share a single refresh between stale callers", async () => {
+      const refresh = deferred();
+      const fn = jest
+        .fn()
+        .mockResolvedValueOnce("old")
+        .mockReturnValueOnce(refresh.promise);
+      const memoized = memoizeAsync(fn, {
+        ttl: 1000,
+        staleWhileRevalidate: 5000,
+      });
+
+      await memoized();
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(await memoized()).toBe("old");
+      expect(await memoized()).toBe("old");
+      expect(fn).toHaveBeenCalledTimes(2);
+
+      refresh.resolve("new");
+      await jest.advanceTimersByTimeAsync(0);
+      expect(await memoized()).toBe("new");
+    });
+
+    test("should keep the stale value when a refresh rejects", async () => {
+      const fn = jest
+        .fn()
+        .mockResolvedValueOnce("old")
+        .mockRejectedValueOnce(new Error("Offline"))
+        .mockResolvedValueOnce("new");
+      const memoized = memoizeAsync(fn, {
+        ttl: 1000,
+        staleWhileRevalidate: 5000,
+      });
+
+      await memoized();
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(await memoized()).toBe("old"); // Refresh fails
+      await jest.advanceTimersByTimeAsync(0);
+      expect(await memoized()).toBe("old"); // Retries
+      await jest.advanceTimersByTimeAsync(0);
+      expect(await memoized()).toBe("new");
+      expect(fn).toHaveBeenCalledTimes(3);
+    });
+
+    test("should drop entries once the stale window closes", async () => {
+      let version = 0;
+      const fn = jest.fn(async () => ++version);
+      const memoized = memoizeAsync(fn, {
+        ttl: 1000,
+        staleWhileRevalidate: 2000,
+      });
+
+      await memoized();
+      await jest.advanceTimersByTimeAsync(3000);
+      expect(memoized.cache.size).toBe(0);
+
+      expect(await memoized()).toBe(2);
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe("cache control", () => {
+    test("should support clear, delete, has and size", async () => {
+      const memoized = memoizeAsync(async (x) => x);
+
+      await memoized(1);
+      await memoized(2);
+      expect(memoized.cache.size).toBe(2);
+
+      memoized.cache.delete(JSON.stringify([1]));
+      expect(memoized.cache.has(JSON.stringify([1]))).toBe(false);
+      expect(memoized.cache.has(JSON.stringify([2]))).toBe(true);
+
+      memoized.cache.clear();
+      expect(memoized.cache.size).toBe(0);
+    });
+
+    test("should not cache an in-flight call that was deleted", async () => {
+      const pending = deferred();
+      const fn = jest.fn(() => pending.promise);
+      const memoized = memoizeAsync(fn);
+
+      const first = memoized(1);
+      memoized.cache.clear();
+      memoized(1);
+      expect(fn).toHaveBeenCalledTimes(2);
+
+      pending.resolve(1);
+      await first;
+      expect(memoized.cache.size).toBe(1);
+    });
+  });
+});